@@ -9,8 +9,10 @@ set -e  # Exit on any error
 BUCKET_NAME=""
 AWS_REGION="us-east-1"
 PROFILE_NAME="default"
-LOCAL_DIR="."
-EXCLUDE_PATTERNS="aws/ awscliv2.zip .git/ .gitignore deploy.sh"
+LOCAL_DIR="dist"  # The prerendered site is built here and uploaded from here
+EXCLUDE_PATTERNS="aws/ awscliv2.zip .git/ .gitignore deploy.sh scripts/ dist/"
+# Generated files that change with every deploy, uploaded with max-age=0
+NO_CACHE_FILES="templates/manifest.json test/manifest.json test/search-index.json feed.xml atom.xml feed.json sitemap.xml robots.txt"
 
 # Colors for output
 RED='\033[0;31m'
@@ -127,10 +129,12 @@ create_bucket() {
 configure_website_hosting() {
     log_info "Configuring bucket for static website hosting..."
     
-    # Enable static website hosting
+    # Enable static website hosting. Blog URLs such as /blog/tag/aws have no
+    # object of their own, so missing paths get the blog page and js/blog.js
+    # shows the matching view (or "Page Not Found" outside the blog)
     aws s3 website "s3://$BUCKET_NAME" \
         --index-document index.html \
-        --error-document index.html \
+        --error-document blog/index.html \
         --profile $PROFILE_NAME
     
     if [ $? -eq 0 ]; then
@@ -171,17 +175,83 @@ EOF
     fi
 }
 
+# Function to regenerate the blog article manifest, search index and feeds
+build_blog_files() {
+    log_info "Building blog files..."
+    
+    if ! command -v node &> /dev/null; then
+        log_error "Node.js is required to build the blog files"
+        exit 1
+    fi
+    
+    SCRIPTS_DIR="$(dirname "$0")/scripts"
+    
+    # Feed and sitemap links must point at the site being deployed
+    export SITE_URL="${SITE_URL:-https://$BUCKET_NAME}"
+    
+    # The article manifest and search index are written into the build by
+    # build_static_site, so the tracked copies (the manifest lists drafts for
+    # local preview) are left alone
+    if node "$SCRIPTS_DIR/build-feeds.js" && \
+       node "$SCRIPTS_DIR/build-sitemap.js" && \
+       node "$SCRIPTS_DIR/build-template-manifest.js"; then
+        log_success "Blog files built"
+    else
+        log_error "Failed to build the blog files"
+        exit 1
+    fi
+}
+
+# Function to build the prerendered copy of the site that is uploaded
+build_static_site() {
+    log_info "Prerendering the site into $LOCAL_DIR..."
+    
+    SCRIPTS_DIR="$(dirname "$0")/scripts"
+    
+    # Copies the generated blog files too, so it runs after build_blog_files
+    if node "$SCRIPTS_DIR/build-static.js" --out "$LOCAL_DIR"; then
+        log_success "Site prerendered"
+    else
+        log_error "Failed to prerender the site"
+        exit 1
+    fi
+}
+
+# Function to keep drafts and scheduled posts off the live site
+exclude_unpublished_articles() {
+    log_info "Checking for unpublished articles..."
+    
+    SCRIPTS_DIR="$(dirname "$0")/scripts"
+    
+    if ! UNPUBLISHED=$(node "$SCRIPTS_DIR/list-unpublished.js"); then
+        log_error "Failed to check the articles for drafts"
+        exit 1
+    fi
+    
+    if [ -n "$UNPUBLISHED" ]; then
+        log_warning "Drafts and scheduled posts will not be published:"
+        for file in $UNPUBLISHED; do
+            echo "  $file"
+            EXCLUDE_PATTERNS="$EXCLUDE_PATTERNS $file"
+        done
+    fi
+}
+
 # Function to sync files to S3
 sync_to_s3() {
     log_info "Syncing files to S3 bucket '$BUCKET_NAME'..."
     
-    # Build exclude string
-    EXCLUDE_ARGS=""
+    # Build exclude arguments (an array, so the patterns reach aws unquoted)
+    EXCLUDE_ARGS=()
     for pattern in $EXCLUDE_PATTERNS; do
-        EXCLUDE_ARGS="$EXCLUDE_ARGS --exclude '$pattern*'"
+        EXCLUDE_ARGS+=(--exclude "$pattern*")
     done
     
     # Sync with proper content types
+    NO_CACHE_EXCLUDE_ARGS=()
+    for file in $NO_CACHE_FILES; do
+        NO_CACHE_EXCLUDE_ARGS+=(--exclude "$file")
+    done
     aws s3 sync "$LOCAL_DIR" "s3://$BUCKET_NAME" \
         --profile $PROFILE_NAME \
         --delete \
@@ -189,7 +259,16 @@ sync_to_s3() {
         --exclude "*.html" \
         --exclude "*.css" \
         --exclude "*.js" \
-        $EXCLUDE_ARGS
+        "${NO_CACHE_EXCLUDE_ARGS[@]}" \
+        "${EXCLUDE_ARGS[@]}"
+    
+    # The manifests, search index, feeds and sitemap say what has been published
+    # (and which stored templates are out of date), so they must never be cached
+    for file in $NO_CACHE_FILES; do
+        aws s3 cp "$LOCAL_DIR/$file" "s3://$BUCKET_NAME/$file" \
+            --profile $PROFILE_NAME \
+            --cache-control "max-age=0"
+    done
     
     # Sync HTML files with shorter cache
     aws s3 sync "$LOCAL_DIR" "s3://$BUCKET_NAME" \
@@ -197,7 +276,7 @@ sync_to_s3() {
         --delete \
         --cache-control "max-age=0" \
         --include "*.html" \
-        $EXCLUDE_ARGS
+        "${EXCLUDE_ARGS[@]}"
     
     # Sync CSS files
     aws s3 sync "$LOCAL_DIR" "s3://$BUCKET_NAME" \
@@ -205,7 +284,7 @@ sync_to_s3() {
         --delete \
         --cache-control "max-age=86400" \
         --include "*.css" \
-        $EXCLUDE_ARGS
+        "${EXCLUDE_ARGS[@]}"
     
     # Sync JS files
     aws s3 sync "$LOCAL_DIR" "s3://$BUCKET_NAME" \
@@ -213,7 +292,7 @@ sync_to_s3() {
         --delete \
         --cache-control "max-age=86400" \
         --include "*.js" \
-        $EXCLUDE_ARGS
+        "${EXCLUDE_ARGS[@]}"
     
     if [ $? -eq 0 ]; then
         log_success "Files synced successfully to S3"
@@ -277,7 +356,7 @@ show_help() {
     echo "  -b, --bucket BUCKET_NAME    S3 bucket name"
     echo "  -r, --region REGION         AWS region (default: us-east-1)"
     echo "  -p, --profile PROFILE       AWS profile name (default: default)"
-    echo "  -d, --dir DIRECTORY         Local directory to deploy (default: current directory)"
+    echo "  -d, --dir DIRECTORY         Folder the site is built into and uploaded from (default: dist)"
     echo "  -h, --help                  Show this help message"
     echo
     echo "Examples:"
@@ -340,6 +419,16 @@ main() {
     # Configure bucket for website hosting
     configure_website_hosting
     
+    # Build the feeds and sitemap
+    build_blog_files
+    
+    # Prerender the pages and posts, with the article manifest and search index,
+    # into the folder that is uploaded
+    build_static_site
+    
+    # Leave drafts and scheduled posts out of the upload
+    exclude_unpublished_articles
+    
     # Sync files to S3
     sync_to_s3
     
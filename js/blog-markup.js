@@ -0,0 +1,90 @@
+// Blog URLs and markup shared by the blog page and the static build
+//
+// Article and tag URLs, dates, tag chips and the previous/next post links are
+// rendered here, so the posts prerendered by scripts/build-static.js match the
+// ones js/blog.js renders in the browser.
+
+// Path prefix the blog is served under
+const BLOG_BASE_PATH = '/blog/';
+
+// Clean URL for an article (a manifest entry or anything else with a slug)
+function getArticleUrl(entry) {
+    return `${BLOG_BASE_PATH}${encodeURIComponent(entry.slug)}`;
+}
+
+// Normalise a tag for use in URLs and comparisons, e.g. "Cloud FinOps" -> "cloud-finops"
+function getTagSlug(tag) {
+    return String(tag)
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// URL of the listing for a tag
+function getTagUrl(tag) {
+    return `${BLOG_BASE_PATH}tag/${encodeURIComponent(getTagSlug(tag))}/`;
+}
+
+// Tag chips linking each tag to its listing
+function renderTagChips(tags) {
+    if (!tags || tags.length === 0) {
+        return '';
+    }
+
+    const chips = tags.map(tag => `<li><a href="${escapeHtml(getTagUrl(tag))}" class="tag-chip">${escapeHtml(tag)}</a></li>`);
+    return `<ul class="tag-list">${chips.join('')}</ul>`;
+}
+
+// Format an ISO date-time as a human-readable date, e.g. "October 11, 2025".
+// Dates are shown in UTC, the time zone of the article filenames and of the
+// year and month in dated URLs, so every reader (and the build) sees the same day.
+function formatArticleDate(isoDateTime) {
+    return new Date(isoDateTime).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Build a <time> element for an ISO date-time
+function renderTimeElement(isoDateTime) {
+    return `<time datetime="${escapeHtml(isoDateTime)}">${escapeHtml(formatArticleDate(isoDateTime))}</time>`;
+}
+
+// Links to the previous (older) and next (newer) post
+//   adjacent: { previous, next }, each null or { url, displayName }
+function renderPostNavigation(adjacent) {
+    if (!adjacent.previous && !adjacent.next) {
+        return '';
+    }
+
+    const link = (article, rel, label) => article
+        ? `<a href="${escapeHtml(article.url)}" class="post-navigation-${rel}" rel="${rel}">
+               <span class="post-navigation-label">${label}</span>
+               <span class="post-navigation-title">${escapeHtml(article.displayName)}</span>
+           </a>`
+        : '<span></span>';
+
+    return `
+        <nav class="post-navigation" aria-label="More posts">
+            ${link(adjacent.previous, 'prev', '← Previous post')}
+            ${link(adjacent.next, 'next', 'Next post →')}
+        </nav>
+    `;
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BLOG_BASE_PATH,
+        getArticleUrl,
+        getTagSlug,
+        getTagUrl,
+        renderTagChips,
+        formatArticleDate,
+        renderTimeElement,
+        renderPostNavigation
+    };
+}
@@ -1,74 +1,381 @@
 // Blog system for dynamic markdown file loading and URL routing
+// (URLs, dates, tag chips and post links come from js/blog-markup.js)
 
-// Markdown to HTML converter using marked.js library
-function markdownToHtml(markdown) {
-    // Check if marked is available
-    if (typeof marked !== 'undefined') {
-        // Configure marked options
-        marked.setOptions({
-            breaks: true,        // Convert \n to <br>
-            gfm: true,          // GitHub Flavored Markdown
-            tables: true,       // Enable tables
-            sanitize: false,    // Allow HTML (be careful with user content)
-            smartLists: true,   // Better list handling
-            smartypants: true   // Smart quotes and dashes
-        });
-        
-        return marked.parse(markdown);
-    } else {
-        // Fallback if marked.js is not loaded
-        console.warn('marked.js library not loaded, using basic fallback');
-        return `<pre>${markdown}</pre>`;
+// Markdown to HTML converter using the bundled renderer in js/markdown.js
+// (the output is sanitized unless the post is trusted to embed its own HTML)
+function markdownToHtml(markdown, metadata = {}) {
+    const html = renderMarkdown(markdown, {
+        breaks: true,
+        highlight: highlightCode,
+        lineNumbers: Boolean(metadata.lineNumbers)
+    });
+    return metadata.trusted ? html : sanitizeHtml(html);
+}
+
+// Listing settings. Each can be overridden per page with a data- attribute on
+// the .features section, e.g. <section class="features" data-page-size="6">
+const BLOG_CONFIG = {
+    pageSize: 4,        // Articles per listing page
+    recentMonths: 0,    // Only list articles from the last N months (0 = no limit)
+    relatedPosts: 3     // Related posts suggested under an article
+};
+
+// Preview mode shows drafts and scheduled posts. It is turned on for the
+// browser tab with ?preview (and off with ?preview=off), or by a local dev
+// server setting window.BLOG_PREVIEW = true.
+const BLOG_PREVIEW_PARAM = 'preview';
+const BLOG_PREVIEW_STORAGE_KEY = 'blogPreview';
+
+// Markup and title of the blog listing page, kept so they can be restored after viewing a post
+let blogIndexMarkup = null;
+let blogIndexTitle = null;
+
+// Work out which blog view a URL refers to
+//   /blog/                      -> listing
+//   /blog/page/2                -> listing page 2
+//   /blog/archive               -> archive grouped by year and month
+//   /blog/tag/aws[/page/2]      -> articles tagged "aws"
+//   /blog/my-slug               -> article
+//   /blog/2025/10/my-slug       -> article published in that year and month
+//   /blog/?q=search+terms       -> search results
+//   /blog/?article=<filename>   -> legacy link, redirected to the clean URL
+function parseBlogRoute(pathname, search) {
+    const urlParams = new URLSearchParams(search);
+    const legacyArticle = urlParams.get('article');
+    if (legacyArticle) {
+        return { type: 'legacy', name: legacyArticle };
+    }
+    
+    const rawSegments = pathname
+        .slice(BLOG_BASE_PATH.length)
+        .split('/')
+        .filter(segment => segment !== '' && segment !== 'index.html');
+    
+    let segments;
+    try {
+        segments = rawSegments.map(segment => decodeURIComponent(segment));
+    } catch (error) {
+        // A malformed escape such as %E0%A4%A can't name any page
+        return { type: 'notFound', path: rawSegments.join('/') };
+    }
+    
+    if (segments.length === 0) {
+        const query = (urlParams.get('q') || '').trim();
+        return query ? { type: 'search', query: query } : { type: 'index' };
+    }
+    
+    if (segments.length === 2 && segments[0] === 'page' && /^[1-9]\d*$/.test(segments[1])) {
+        return { type: 'index', page: Number(segments[1]) };
+    }
+    
+    if (segments[0] === 'tag' && segments.length >= 2) {
+        if (segments.length === 2) {
+            return { type: 'tag', tag: segments[1], page: 1 };
+        }
+        if (segments.length === 4 && segments[2] === 'page' && /^[1-9]\d*$/.test(segments[3])) {
+            return { type: 'tag', tag: segments[1], page: Number(segments[3]) };
+        }
+    }
+    
+    if (segments.length === 1 && segments[0] === 'archive') {
+        return { type: 'archive' };
+    }
+    
+    if (segments.length === 1) {
+        return { type: 'article', slug: segments[0] };
+    }
+    
+    if (segments.length === 3 && /^\d{4}$/.test(segments[0]) && /^\d{2}$/.test(segments[1])) {
+        return { type: 'article', slug: segments[2], year: segments[0], month: segments[1] };
+    }
+    
+    return { type: 'notFound', path: segments.join('/') };
+}
+
+// Whether drafts and scheduled posts should be shown
+function isPreviewMode() {
+    if (window.BLOG_PREVIEW === true) {
+        return true;
+    }
+    
+    const urlParams = new URLSearchParams(window.location.search);
+    try {
+        if (urlParams.has(BLOG_PREVIEW_PARAM)) {
+            const enabled = !['0', 'off', 'false'].includes(urlParams.get(BLOG_PREVIEW_PARAM));
+            if (enabled) {
+                sessionStorage.setItem(BLOG_PREVIEW_STORAGE_KEY, '1');
+            } else {
+                sessionStorage.removeItem(BLOG_PREVIEW_STORAGE_KEY);
+            }
+            return enabled;
+        }
+        return sessionStorage.getItem(BLOG_PREVIEW_STORAGE_KEY) === '1';
+    } catch (error) {
+        // Storage can be unavailable (e.g. blocked cookies); fall back to the query flag alone
+        return urlParams.has(BLOG_PREVIEW_PARAM);
+    }
+}
+
+// Whether an article is live: not a draft and not scheduled for a later date
+// (the same check as isArticlePublished in scripts/lib/articles.js)
+function isArticlePublished(entry, now = new Date()) {
+    return !entry.draft && new Date(entry.isoDateTime) <= now;
+}
+
+// Whether an article may be shown to the current reader
+function isArticleVisible(entry) {
+    return isArticlePublished(entry) || isPreviewMode();
+}
+
+// Find the manifest entry for a slug, checking the year and month when given
+async function findArticleBySlug(slug, year, month) {
+    const manifestArticles = await loadArticleManifest();
+    const entry = manifestArticles.find(candidate => candidate.slug === slug && isArticleVisible(candidate));
+    
+    if (entry && year && month) {
+        const published = new Date(entry.isoDateTime);
+        const matchesDate = published.getUTCFullYear() === Number(year) &&
+            published.getUTCMonth() + 1 === Number(month);
+        return matchesDate ? entry : null;
     }
+    
+    return entry || null;
 }
 
-// Blog router to handle URL query parameters
-function initBlogRouter() {
+// Blog router to handle clean article URLs and legacy query parameters
+async function initBlogRouter() {
     const currentPath = window.location.pathname;
-    const blogPath = '/blog/';
     
     console.log('initBlogRouter called, currentPath:', currentPath);
     
-    // Check if we're on a blog page
-    if (currentPath.startsWith(blogPath)) {
-        console.log('On blog page, checking for article parameter...');
-        
-        // Get the article parameter from the query string
-        const urlParams = new URLSearchParams(window.location.search);
-        const article = urlParams.get('article');
-        
-        console.log('Article parameter:', article);
-        
-        if (article) {
-            // Load and display the markdown file
-            const markdownFileName = article + '.md';
-            console.log('Loading markdown file:', markdownFileName);
-            loadMarkdownFile(markdownFileName);
+    // The blog page is also the live site's error document (see deploy.sh),
+    // so it can be answering for a missing page outside the blog
+    if (!currentPath.startsWith(BLOG_BASE_PATH)) {
+        console.log('Not on a blog URL, showing page not found');
+        showPageNotFound(currentPath);
+        return;
+    }
+    
+    // Remember the listing markup before any post replaces it
+    // (a prerendered post page from scripts/build-static.js has no listing to remember)
+    const mainElement = document.querySelector('main .container');
+    if (mainElement && blogIndexMarkup === null && !mainElement.querySelector('.blog-post')) {
+        blogIndexMarkup = mainElement.innerHTML;
+        blogIndexTitle = document.title;
+    }
+    
+    const route = parseBlogRoute(currentPath, window.location.search);
+    console.log('Blog route:', route);
+    
+    try {
+        if (route.type === 'legacy') {
+            // Old ?article=<filename> links redirect to the clean URL
+            const manifestArticles = await loadArticleManifest();
+            const entry = manifestArticles.find(candidate => candidate.name === route.name && isArticleVisible(candidate));
+            if (!entry) {
+                showArticleNotFound(route.name);
+                return;
+            }
+            
+            console.log(`Redirecting legacy article link to ${getArticleUrl(entry)}`);
+            window.history.replaceState({}, '', getArticleUrl(entry) + window.location.hash);
+            await loadMarkdownFile(entry.file);
+        } else if (route.type === 'article') {
+            const entry = await findArticleBySlug(route.slug, route.year, route.month);
+            if (!entry) {
+                showArticleNotFound(route.slug);
+                return;
+            }
+            
+            console.log('Loading markdown file:', entry.file);
+            await loadMarkdownFile(entry.file);
+        } else if (route.type === 'index') {
+            // Show the main blog page
+            console.log('No article in URL, showing main blog page...');
+            restoreBlogIndexMarkup();
+            await showMainBlogPage(route.page || 1);
+        } else if (route.type === 'archive') {
+            restoreBlogIndexMarkup();
+            await showBlogArchive();
+        } else if (route.type === 'tag') {
+            restoreBlogIndexMarkup();
+            await showTagPage(route.tag, route.page);
+        } else if (route.type === 'search') {
+            restoreBlogIndexMarkup();
+            setSearchInputValue(route.query);
+            await showSearchResults(route.query);
         } else {
-            // Show the main blog page (current content)
-            console.log('No article parameter, showing main blog page...');
-            showMainBlogPage();
+            showArticleNotFound(route.path);
         }
-    } else {
-        console.log('Not on blog page, skipping blog router');
+    } catch (error) {
+        console.error('Error routing blog URL:', error);
+        showArticleNotFound(currentPath);
+    }
+}
+
+// Put the original listing markup back before rendering a listing view
+function restoreBlogIndexMarkup() {
+    const mainElement = document.querySelector('main .container');
+    if (mainElement && blogIndexMarkup !== null) {
+        stopScrollSpy();
+        clearSeoTags();
+        mainElement.innerHTML = blogIndexMarkup;
+        document.title = blogIndexTitle;
+    }
+}
+
+// Navigate to a blog URL without reloading the page
+function navigateToBlogUrl(url) {
+    // Without the listing markup the page can't switch views itself, so load the URL
+    if (blogIndexMarkup === null) {
+        window.location.assign(url);
+        return;
+    }
+    
+    window.history.pushState({}, '', url);
+    initBlogRouter();
+    window.scrollTo(0, 0);
+}
+
+// Route clicks on same-origin /blog/ links through the History API
+function handleBlogLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+    
+    const link = event.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) {
+        return;
+    }
+    
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || !url.pathname.startsWith(BLOG_BASE_PATH)) {
+        return;
+    }
+    
+    // Let in-page anchor links behave normally
+    if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) {
+        return;
+    }
+    
+    event.preventDefault();
+    navigateToBlogUrl(url.pathname + url.search + url.hash);
+}
+
+// Read the listing settings, applying any data- attribute overrides
+function getBlogConfig() {
+    const config = Object.assign({}, BLOG_CONFIG);
+    const section = document.querySelector('main .features');
+    
+    if (section) {
+        const pageSize = parseInt(section.dataset.pageSize, 10);
+        const recentMonths = parseInt(section.dataset.recentMonths, 10);
+        if (pageSize > 0) {
+            config.pageSize = pageSize;
+        }
+        if (recentMonths >= 0) {
+            config.recentMonths = recentMonths;
+        }
+    }
+    
+    return config;
+}
+
+// Keep only the articles published within the last N months (0 keeps everything)
+function filterRecentArticles(articles, recentMonths) {
+    if (!recentMonths) {
+        return articles;
+    }
+    
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - recentMonths);
+    console.log(`Cutoff date (${recentMonths} months ago):`, cutoff.toISOString());
+    
+    return articles.filter(article => new Date(article.isoDateTime) >= cutoff);
+}
+
+// Slice one page out of the article list; out of range pages show the last page
+function paginateArticles(articles, page, pageSize) {
+    const totalPages = Math.max(1, Math.ceil(articles.length / pageSize));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    
+    return {
+        articles: articles.slice(start, start + pageSize),
+        page: currentPage,
+        totalPages: totalPages,
+        totalArticles: articles.length
+    };
+}
+
+// URL of a listing page; basePath is the listing's first page, e.g. /blog/tag/aws/
+function getListingPageUrl(page, basePath = BLOG_BASE_PATH) {
+    return page > 1 ? `${basePath}page/${page}` : basePath;
+}
+
+// Count how many articles use each tag, sorted alphabetically
+function countArticleTags(articles) {
+    const counts = new Map();
+    
+    articles.forEach(article => {
+        article.tags.forEach(tag => {
+            const slug = getTagSlug(tag);
+            if (!counts.has(slug)) {
+                counts.set(slug, { name: tag, slug: slug, count: 0 });
+            }
+            counts.get(slug).count++;
+        });
+    });
+    
+    return Array.from(counts.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Fill the tag cloud with every tag and its post count
+function renderTagCloud(articles, activeTagSlug) {
+    const tagCloud = document.querySelector('main .container .tag-cloud');
+    if (!tagCloud) {
+        return;
     }
+    
+    const tags = countArticleTags(articles);
+    if (tags.length === 0) {
+        tagCloud.innerHTML = '<p>No tags yet.</p>';
+        return;
+    }
+    
+    // Scale the font size between the least and most used tags
+    const maxCount = Math.max(...tags.map(tag => tag.count));
+    tagCloud.innerHTML = tags.map(tag => {
+        const size = maxCount > 1 ? 1 + Math.round(((tag.count - 1) / (maxCount - 1)) * 4) : 1;
+        const activeClass = tag.slug === activeTagSlug ? ' active' : '';
+        return `<a href="${escapeHtml(getTagUrl(tag.name))}" class="tag-chip tag-cloud-size-${size}${activeClass}">` +
+            `${escapeHtml(tag.name)} <span class="tag-count">${tag.count}</span></a>`;
+    }).join('');
 }
 
 // Show the main blog page with dynamic article list
-async function showMainBlogPage() {
-    console.log('Showing main blog page');
+async function showMainBlogPage(page = 1) {
+    console.log('Showing main blog page', page);
     
     try {
-        // Get list of markdown files from the test folder
+        const config = getBlogConfig();
+        
+        // Get list of markdown files from the article manifest
         console.log('Calling getAvailableArticles...');
-        const articles = await getAvailableArticles();
+        const articles = filterRecentArticles(await getAvailableArticles(), config.recentMonths);
         console.log('getAvailableArticles returned:', articles);
         
+        const listing = paginateArticles(articles, page, config.pageSize);
+        listing.recentMonths = config.recentMonths;
+        
         // Update the blog page with dynamic article list
         console.log('Calling updateBlogPageWithArticles...');
-        updateBlogPageWithArticles(articles);
+        updateBlogPageWithArticles(listing.articles, listing);
         console.log('updateBlogPageWithArticles completed');
         
+        renderTagCloud(await getAvailableArticles());
+        
     } catch (error) {
         console.error('Error loading article list:', error);
         console.error('Error stack:', error.stack);
@@ -76,85 +383,254 @@ async function showMainBlogPage() {
     }
 }
 
-// Get list of available articles from test folder
-async function getAvailableArticles() {
-    const availableArticles = [];
+// Show the listing of articles carrying a tag
+async function showTagPage(tagSlug, page = 1) {
+    console.log('Showing tag page', tagSlug, page);
     
-    // List of known articles to check
-    const knownArticles = [
-        '2024-01-15T10:30:45.123Z-sample1',
-        '2024-01-10T14:22:18.456Z-sample2', 
-        '2024-01-05T08:15:30.789Z-sample3',
-        '2024-01-20T16:45:30.999Z-new-article',
-        '2024-01-25T12:00:00.000Z-directory-test',
-        '2024-06-01T12:00:00.000Z-old-article',
-        '2025-10-07T08:00:00.000Z-four-days-ago',
-        '2025-10-08T10:00:00.000Z-three-days-ago',
-        '2025-10-09T12:00:00.000Z-two-days-ago',
-        '2025-10-10T14:00:00.000Z-yesterdays-article',
-        '2025-10-11T15:00:00.000Z-todays-article'
-    ];
-    
-    console.log('Checking for articles...');
-    
-    // Calculate the cutoff date (3 months ago)
-    const threeMonthsAgo = new Date();
-    threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-    console.log('Current date:', new Date().toISOString());
-    console.log('Cutoff date (3 months ago):', threeMonthsAgo.toISOString());
-    
-    // Try to fetch each known article
-    for (const article of knownArticles) {
-        try {
-            const currentPath = window.location.pathname;
-            const isInSubdirectory = currentPath.split('/').length > 2;
-            const markdownPath = isInSubdirectory ? `../test/${article}.md` : `test/${article}.md`;
-            
-            console.log(`Checking: ${markdownPath}`);
-            
-            const response = await fetch(markdownPath, { method: 'HEAD' });
-            if (response.ok) {
-                // Parse ISO date-time from filename
-                const isoDateTime = parseIsoDateTimeFromFilename(article);
-                const articleName = extractArticleNameFromFilename(article);
-                
-                if (isoDateTime) {
-                    const articleDate = new Date(isoDateTime);
-                    console.log(`Article date: ${articleDate.toISOString()}, Cutoff: ${threeMonthsAgo.toISOString()}`);
-                    
-                    // Only include articles from the last 3 months
-                    if (articleDate >= threeMonthsAgo) {
-                        availableArticles.push({
-                            name: article,
-                            displayName: articleName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                            description: 'Click to read this markdown article with various formatting and content examples.',
-                            published: isoDateTime.split('T')[0], // Extract just the date part
-                            isoDateTime: isoDateTime,
-                            url: `/blog/?article=${article}`
-                        });
-                        console.log(`Found recent article: ${article} (${articleDate.toISOString()})`);
-                    } else {
-                        console.log(`Article too old: ${article} (${articleDate.toISOString()})`);
+    try {
+        const config = getBlogConfig();
+        const allArticles = await getAvailableArticles();
+        const slug = getTagSlug(tagSlug);
+        const articles = allArticles.filter(article => article.tags.some(tag => getTagSlug(tag) === slug));
+        
+        // Show the tag as written in the posts rather than its slug
+        const tagInfo = countArticleTags(articles).find(tag => tag.slug === slug);
+        
+        const listing = paginateArticles(articles, page, config.pageSize);
+        listing.tag = tagInfo ? tagInfo.name : tagSlug;
+        listing.basePath = getTagUrl(listing.tag);
+        
+        updateBlogPageWithArticles(listing.articles, listing);
+        renderTagCloud(allArticles, slug);
+        
+        const site = await loadSiteSettings();
+        document.title = `Articles tagged "${listing.tag}" - ${site.name}`;
+    } catch (error) {
+        console.error('Error loading tag listing:', error);
+    }
+}
+
+// Delay between the last keystroke and running a search
+const SEARCH_INPUT_DELAY = 200;
+let searchInputTimer = null;
+
+// Show the articles matching a search query, best matches first
+async function showSearchResults(query) {
+    console.log('Showing search results for', query);
+    
+    try {
+        const [documents, articles] = await Promise.all([
+            loadSearchIndex(`${getArticlesBasePath()}search-index.json`),
+            getAvailableArticles()
+        ]);
+        const articlesBySlug = new Map(articles.map(article => [article.slug, article]));
+        const terms = getSearchTerms(query);
+        
+        const results = searchDocuments(documents, query)
+            .filter(result => articlesBySlug.has(result.document.slug))
+            .map(result => {
+                const article = articlesBySlug.get(result.document.slug);
+                const doc = result.document;
+                return Object.assign({}, article, {
+                    highlight: {
+                        title: highlightSearchTerms(article.displayName, terms),
+                        description: highlightSearchTerms(getSearchSnippet(doc.text || doc.summary || '', terms), terms)
                     }
-                }
-            } else {
-                console.log(`Article not found: ${article} (${response.status})`);
-            }
-        } catch (error) {
-            console.log(`Error checking article ${article}:`, error);
+                });
+            });
+        
+        updateBlogPageWithArticles(results, {
+            page: 1,
+            totalPages: 1,
+            totalArticles: results.length,
+            query: query
+        });
+        renderTagCloud(articles);
+        
+        const site = await loadSiteSettings();
+        document.title = `Search: ${query} - ${site.name}`;
+    } catch (error) {
+        console.error('Error searching articles:', error);
+    }
+}
+
+// Fill the search box without losing the reader's cursor position
+function setSearchInputValue(query) {
+    const input = document.querySelector('main .blog-search input[name="q"]');
+    if (input && input.value !== query) {
+        input.value = query;
+    }
+}
+
+// Run a search as the reader types, keeping the query in the URL
+function handleSearchInput(event) {
+    const input = event.target;
+    if (!input.matches || !input.matches('.blog-search input[name="q"]')) {
+        return;
+    }
+    
+    clearTimeout(searchInputTimer);
+    searchInputTimer = setTimeout(() => runSearchFromInput(input), SEARCH_INPUT_DELAY);
+}
+
+// Search for the current value of the search box
+function runSearchFromInput(input) {
+    const query = input.value.trim();
+    const currentRoute = parseBlogRoute(window.location.pathname, window.location.search);
+    const url = query ? `${BLOG_BASE_PATH}?q=${encodeURIComponent(query)}` : BLOG_BASE_PATH;
+    
+    // The first keystroke adds a history entry, later ones update it
+    if (currentRoute.type === 'search') {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
+    
+    // Archive and tag views replace the grid, so bring the listing back first
+    if (!document.querySelector('main .container .feature-grid')) {
+        const hadFocus = document.activeElement === input;
+        restoreBlogIndexMarkup();
+        setSearchInputValue(input.value);
+        const restoredInput = document.querySelector('main .blog-search input[name="q"]');
+        if (hadFocus && restoredInput) {
+            restoredInput.focus();
         }
     }
     
-    console.log(`Total recent articles found: ${availableArticles.length}`);
+    if (query) {
+        showSearchResults(query);
+    } else {
+        document.title = blogIndexTitle;
+        showMainBlogPage(1);
+    }
+}
+
+// Search straight away when the form is submitted
+function handleSearchSubmit(event) {
+    const form = event.target;
+    if (!form.matches || !form.matches('.blog-search')) {
+        return;
+    }
+    
+    event.preventDefault();
+    clearTimeout(searchInputTimer);
+    const input = form.querySelector('input[name="q"]');
+    if (input) {
+        runSearchFromInput(input);
+    }
+}
+
+// Path to the folder holding the markdown articles
+// (absolute, since clean article URLs can be several folders deep)
+function getArticlesBasePath() {
+    return '/test/';
+}
+
+// Site name and language from site.json, shared by every post
+let siteSettingsPromise = null;
+
+// Load the site settings; links always use the origin the page is served from
+function loadSiteSettings() {
+    if (!siteSettingsPromise) {
+        siteSettingsPromise = fetch('/site.json')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn('Could not load site.json, using defaults:', error);
+                return {};
+            })
+            .then(site => Object.assign({ name: 'What the AI Said', language: 'en' }, site, {
+                url: window.location.origin
+            }));
+    }
+    
+    return siteSettingsPromise;
+}
+
+// Manifest request shared by the router and the listing
+let articleManifestPromise = null;
+
+// Load the article manifest generated by scripts/build-manifest.js
+function loadArticleManifest() {
+    if (!articleManifestPromise) {
+        const manifestPath = `${getArticlesBasePath()}manifest.json`;
+        console.log(`Loading article manifest: ${manifestPath}`);
+        
+        articleManifestPromise = fetch(manifestPath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(manifest => Array.isArray(manifest.articles) ? manifest.articles : [])
+            .catch(error => {
+                // Allow a later navigation to retry
+                articleManifestPromise = null;
+                throw error;
+            });
+    }
+    
+    return articleManifestPromise;
+}
+
+// Get every published article from the article manifest, newest first
+// (in preview mode drafts and scheduled posts are included and flagged)
+async function getAvailableArticles() {
+    const availableArticles = [];
+    
+    const manifestArticles = await loadArticleManifest();
+    console.log(`Manifest lists ${manifestArticles.length} articles`);
+    
+    manifestArticles.forEach(entry => {
+        const article = entry.name;
+        
+        // Publication date-time from the manifest, falling back to the filename
+        const isoDateTime = entry.isoDateTime || parseIsoDateTimeFromFilename(article);
+        const articleName = extractArticleNameFromFilename(article);
+        
+        if (!isoDateTime) {
+            console.log(`Skipping article with unexpected name: ${article}`);
+            return;
+        }
+        
+        // Drafts and scheduled posts are only listed in preview mode
+        if (!isArticleVisible(entry)) {
+            console.log(`Skipping unpublished article: ${article}`);
+            return;
+        }
+        
+        availableArticles.push({
+            name: article,
+            slug: entry.slug,
+            displayName: entry.title || formatArticleTitle(articleName),
+            description: entry.summary || 'Click to read this markdown article with various formatting and content examples.',
+            summary: entry.summary || null,
+            author: entry.author || null,
+            tags: entry.tags || [],
+            cover: entry.cover || null,
+            series: entry.series || null,
+            draft: Boolean(entry.draft),
+            scheduled: !entry.draft && new Date(isoDateTime) > new Date(),
+            wordCount: entry.wordCount || 0,
+            readingTime: entry.readingTime || null,
+            published: isoDateTime.split('T')[0], // Extract just the date part
+            isoDateTime: isoDateTime,
+            updated: entry.updated || null,
+            url: getArticleUrl(entry)
+        });
+    });
+    
+    console.log(`Total articles found: ${availableArticles.length}`);
     
     // Sort articles by ISO date-time (newest first)
     availableArticles.sort((a, b) => new Date(b.isoDateTime) - new Date(a.isoDateTime));
     
-    // Limit to maximum 4 articles
-    const limitedArticles = availableArticles.slice(0, 4);
-    console.log(`Limited to ${limitedArticles.length} most recent articles`);
-    
-    return limitedArticles;
+    return availableArticles;
 }
 
 // Parse ISO date-time from filename
@@ -177,8 +653,37 @@ function extractArticleNameFromFilename(filename) {
     return filename; // Fallback to original filename
 }
 
+// Turn an article slug such as "todays-article" into a display title
+function formatArticleTitle(articleName) {
+    return articleName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// "4 min read · 812 words"; without a reading time from the manifest it is
+// estimated at wordsPerMinute (from site.json)
+function formatReadingStats(wordCount, readingTime, wordsPerMinute) {
+    const minutes = readingTime || estimateReadingTime(wordCount, wordsPerMinute);
+    return `${minutes} min read · ${wordCount.toLocaleString('en-US')} ${wordCount === 1 ? 'word' : 'words'}`;
+}
+
+// Label marking a draft or scheduled post, shown only in preview mode
+function renderUnpublishedBadge(article) {
+    if (article.draft) {
+        return '<span class="unpublished-badge">Draft</span>';
+    }
+    if (article.scheduled) {
+        return '<span class="unpublished-badge">Scheduled</span>';
+    }
+    return '';
+}
+
+// Build a cover <img>, leaving it out when the URL uses an unsafe scheme
+function renderCoverImage(cover, className) {
+    const url = sanitizeUrl(cover);
+    return url ? `<img src="${escapeHtml(url)}" alt="" class="${className}">` : '';
+}
+
 // Update the blog page with dynamic article list
-function updateBlogPageWithArticles(articles) {
+function updateBlogPageWithArticles(articles, listing) {
     console.log('updateBlogPageWithArticles called with:', articles);
     
     const mainElement = document.querySelector('main .container');
@@ -202,37 +707,279 @@ function updateBlogPageWithArticles(articles) {
     // Add each article as a feature card
     articles.forEach((article, index) => {
         console.log(`Adding article ${index + 1}:`, article);
-        
-        const articleCard = document.createElement('div');
-        articleCard.className = 'feature-card';
-
-        // Format the published date
-        const publishDate = new Date(article.published);
-        const formattedDate = publishDate.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
-
-        articleCard.innerHTML = `
-            <h3><a href="${article.url}">${article.displayName}</a></h3>
-            <p>${article.description}</p>
-            <p><em>Published: ${formattedDate}</em></p>
-        `;
-
-        featureGrid.appendChild(articleCard);
+        featureGrid.appendChild(createArticleCard(article));
     });
 
-    // Update the section title to show count
+    // Default to a single page holding every article passed in
+    listing = listing || { page: 1, totalPages: 1, totalArticles: articles.length, recentMonths: 0 };
+    
+    // Update the section title to show the active window and page
     const sectionTitle = mainElement.querySelector('.features h2');
     if (sectionTitle) {
-        if (articles.length > 0) {
-            sectionTitle.textContent = `Recent Articles (${articles.length} from last 3 months)`;
+        sectionTitle.textContent = describeListing(listing);
+        console.log(`Updated section title to: ${sectionTitle.textContent}`);
+    }
+    
+    renderPagination(featureGrid, listing);
+}
+
+// Build the feature card for an article on the listing
+// (search results pass pre-highlighted title and description HTML in article.highlight)
+function createArticleCard(article) {
+    const articleCard = document.createElement('div');
+    articleCard.className = 'feature-card';
+
+    const coverHtml = renderCoverImage(article.cover, 'article-card-cover');
+    const authorHtml = article.author ? ` by ${escapeHtml(article.author)}` : '';
+    const titleHtml = article.highlight ? article.highlight.title : escapeHtml(article.displayName);
+    const descriptionHtml = article.highlight ? article.highlight.description : escapeHtml(article.description);
+
+    articleCard.innerHTML = `
+        ${coverHtml}
+        <h3><a href="${escapeHtml(article.url)}">${titleHtml}</a>${renderUnpublishedBadge(article)}</h3>
+        <p>${descriptionHtml}</p>
+        <p><em>Published: ${renderTimeElement(article.isoDateTime)}${authorHtml}</em></p>
+        <p class="article-reading-time">${formatReadingStats(article.wordCount, article.readingTime)}</p>
+        ${renderTagChips(article.tags)}
+    `;
+
+    return articleCard;
+}
+
+// Heading text for a listing, e.g. "Recent Articles (7 from last 3 months, page 2 of 2)"
+function describeListing(listing) {
+    const count = listing.recentMonths
+        ? `${listing.totalArticles} from last ${listing.recentMonths} months`
+        : `${listing.totalArticles} ${listing.totalArticles === 1 ? 'article' : 'articles'}`;
+    const page = listing.totalPages > 1 ? `, page ${listing.page} of ${listing.totalPages}` : '';
+    
+    if (listing.query) {
+        return `Search results for "${listing.query}" (${count}${page})`;
+    }
+    if (listing.tag) {
+        return `Articles tagged "${listing.tag}" (${count}${page})`;
+    }
+    return `Recent Articles (${count}${page})`;
+}
+
+// Render numbered pagination links after the article grid
+function renderPagination(featureGrid, listing) {
+    const existing = featureGrid.parentElement.querySelector('.pagination');
+    if (existing) {
+        existing.remove();
+    }
+    
+    if (listing.totalPages <= 1) {
+        return;
+    }
+    
+    const links = [];
+    if (listing.page > 1) {
+        links.push(`<a href="${getListingPageUrl(listing.page - 1, listing.basePath)}" class="pagination-link" rel="prev">← Newer</a>`);
+    }
+    for (let page = 1; page <= listing.totalPages; page++) {
+        if (page === listing.page) {
+            links.push(`<span class="pagination-link current" aria-current="page">${page}</span>`);
         } else {
-            sectionTitle.textContent = `Recent Articles (0 from last 3 months)`;
+            links.push(`<a href="${getListingPageUrl(page, listing.basePath)}" class="pagination-link">${page}</a>`);
         }
-        console.log(`Updated section title to show ${articles.length} recent articles`);
     }
+    if (listing.page < listing.totalPages) {
+        links.push(`<a href="${getListingPageUrl(listing.page + 1, listing.basePath)}" class="pagination-link" rel="next">Older →</a>`);
+    }
+    
+    const nav = document.createElement('nav');
+    nav.className = 'pagination';
+    nav.setAttribute('aria-label', 'Blog pages');
+    nav.innerHTML = links.join('');
+    featureGrid.insertAdjacentElement('afterend', nav);
+}
+
+// Show every published article grouped by year and month
+async function showBlogArchive() {
+    console.log('Showing blog archive');
+    
+    try {
+        const articles = await getAvailableArticles();
+        updateBlogPageWithArchive(articles);
+        renderTagCloud(articles);
+    } catch (error) {
+        console.error('Error loading article archive:', error);
+    }
+}
+
+// Group articles (newest first) into [{ year, months: [{ month, articles }] }]
+function groupArticlesByMonth(articles) {
+    const years = [];
+    
+    articles.forEach(article => {
+        // UTC, like the dates shown on the posts and in their URLs
+        const date = new Date(article.isoDateTime);
+        const year = date.getUTCFullYear();
+        const month = date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+        
+        let yearGroup = years[years.length - 1];
+        if (!yearGroup || yearGroup.year !== year) {
+            yearGroup = { year: year, months: [] };
+            years.push(yearGroup);
+        }
+        
+        let monthGroup = yearGroup.months[yearGroup.months.length - 1];
+        if (!monthGroup || monthGroup.month !== month) {
+            monthGroup = { month: month, articles: [] };
+            yearGroup.months.push(monthGroup);
+        }
+        
+        monthGroup.articles.push(article);
+    });
+    
+    return years;
+}
+
+// Replace the article grid with the year/month archive
+function updateBlogPageWithArchive(articles) {
+    const section = document.querySelector('main .container .features');
+    if (!section) {
+        console.log('Features section not found');
+        return;
+    }
+    
+    const sectionTitle = section.querySelector('h2');
+    if (sectionTitle) {
+        sectionTitle.textContent = `Archive (${articles.length} ${articles.length === 1 ? 'article' : 'articles'})`;
+    }
+    
+    const archiveHtml = groupArticlesByMonth(articles).map(yearGroup => `
+        <div class="archive-year">
+            <h3>${yearGroup.year}</h3>
+            ${yearGroup.months.map(monthGroup => `
+                <h4>${monthGroup.month}</h4>
+                <ul class="archive-list">
+                    ${monthGroup.articles.map(article => `
+                        <li>
+                            <a href="${escapeHtml(article.url)}">${escapeHtml(article.displayName)}</a>
+                            <span class="archive-date">${renderTimeElement(article.isoDateTime)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `).join('')}
+        </div>
+    `).join('');
+    
+    const archive = document.createElement('div');
+    archive.className = 'blog-archive';
+    archive.innerHTML = archiveHtml || '<p>No articles have been published yet.</p>';
+    
+    const featureGrid = section.querySelector('.feature-grid');
+    if (featureGrid) {
+        featureGrid.replaceWith(archive);
+    } else {
+        section.appendChild(archive);
+    }
+    
+    const archiveLink = section.querySelector('.archive-link');
+    if (archiveLink) {
+        archiveLink.innerHTML = `<a href="${BLOG_BASE_PATH}">← Back to recent articles</a>`;
+    }
+}
+
+// Common words that say nothing about what a post is about
+const RELATED_STOP_WORDS = new Set([
+    'about', 'after', 'also', 'and', 'are', 'but', 'can', 'for', 'from', 'has', 'have',
+    'how', 'into', 'its', 'just', 'more', 'not', 'one', 'our', 'out', 'that', 'the',
+    'their', 'this', 'used', 'very', 'was', 'what', 'when', 'which', 'why', 'will',
+    'with', 'you', 'your'
+]);
+
+// The older and newer neighbours of an article in publication order
+function findAdjacentArticles(articles, current) {
+    const index = articles.findIndex(article => article.name === current.name);
+    return {
+        previous: index !== -1 && index < articles.length - 1 ? articles[index + 1] : null,
+        next: index > 0 ? articles[index - 1] : null
+    };
+}
+
+// Words describing an article, taken from its title and summary
+function getArticleKeywords(article) {
+    const text = `${article.displayName} ${article.summary || ''}`;
+    return new Set(tokenizeSearchText(text).filter(word => word.length > 2 && !RELATED_STOP_WORDS.has(word)));
+}
+
+// Articles sharing the most tags and keywords with the current one
+// (a shared tag counts three times as much as a shared keyword)
+function getRelatedArticles(articles, current, limit) {
+    const currentTags = new Set(current.tags.map(getTagSlug));
+    const currentKeywords = getArticleKeywords(current);
+    
+    return articles
+        .filter(article => article.name !== current.name)
+        .map(article => {
+            const sharedTags = article.tags.filter(tag => currentTags.has(getTagSlug(tag))).length;
+            const sharedKeywords = Array.from(getArticleKeywords(article)).filter(word => currentKeywords.has(word)).length;
+            return { article: article, score: sharedTags * 3 + sharedKeywords };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score ||
+            new Date(b.article.isoDateTime) - new Date(a.article.isoDateTime))
+        .slice(0, limit)
+        .map(result => result.article);
+}
+
+// Every part of the article's series, oldest first
+function getSeriesArticles(articles, current) {
+    if (!current.series) {
+        return [];
+    }
+    return articles
+        .filter(article => article.series === current.series)
+        .sort((a, b) => new Date(a.isoDateTime) - new Date(b.isoDateTime));
+}
+
+// "Part 2 of 5" box listing every part of a series
+function renderSeriesNavigation(seriesArticles, current) {
+    if (seriesArticles.length < 2) {
+        return '';
+    }
+    
+    const index = seriesArticles.findIndex(article => article.name === current.name);
+    const parts = seriesArticles.map((article, partIndex) => partIndex === index
+        ? `<li aria-current="page">${escapeHtml(article.displayName)}</li>`
+        : `<li><a href="${escapeHtml(article.url)}">${escapeHtml(article.displayName)}</a></li>`);
+    const previous = seriesArticles[index - 1];
+    const next = seriesArticles[index + 1];
+    
+    return `
+        <nav class="series-navigation" aria-label="Series">
+            <p class="series-title">Part ${index + 1} of ${seriesArticles.length} in <strong>${escapeHtml(current.series)}</strong></p>
+            <ol class="series-parts">${parts.join('')}</ol>
+            <p class="series-links">
+                ${previous ? `<a href="${escapeHtml(previous.url)}" rel="prev">← Part ${index}</a>` : ''}
+                ${next ? `<a href="${escapeHtml(next.url)}" rel="next">Part ${index + 2} →</a>` : ''}
+            </p>
+        </nav>
+    `;
+}
+
+// "Related posts" list
+function renderRelatedPosts(relatedArticles) {
+    if (relatedArticles.length === 0) {
+        return '';
+    }
+    
+    return `
+        <section class="related-posts">
+            <h2>Related posts</h2>
+            <ul>
+                ${relatedArticles.map(article => `
+                    <li>
+                        <a href="${escapeHtml(article.url)}">${escapeHtml(article.displayName)}</a>
+                        <span class="archive-date">${renderTimeElement(article.isoDateTime)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
 }
 
 // Load and display a markdown file
@@ -241,9 +988,7 @@ async function loadMarkdownFile(filename) {
         console.log(`Loading markdown file: ${filename}`);
         
         // Determine the correct path based on current location
-        const currentPath = window.location.pathname;
-        const isInSubdirectory = currentPath.split('/').length > 2;
-        const markdownPath = isInSubdirectory ? `../test/${filename}` : `test/${filename}`;
+        const markdownPath = `${getArticlesBasePath()}${filename}`;
         
         const response = await fetch(markdownPath);
         if (!response.ok) {
@@ -251,58 +996,147 @@ async function loadMarkdownFile(filename) {
         }
         
         const markdownContent = await response.text();
-        const htmlContent = markdownToHtml(markdownContent);
         
-        // Get current ISO date-time
-        const now = new Date();
-        const isoDateTime = now.toISOString();
+        // Strip the front matter so it isn't rendered as part of the post
+        const { data, body } = parseFrontMatter(markdownContent);
+        const metadata = getArticleMetadata(data);
+        const htmlContent = markdownToHtml(body, metadata);
+        
+        // Publication date-time from the front matter, falling back to the filename
+        const articleName = filename.replace('.md', '');
+        const isoDateTime = metadata.date || parseIsoDateTimeFromFilename(articleName);
+        const updatedHtml = metadata.updated
+            ? `<p class="article-updated">Updated ${renderTimeElement(metadata.updated)}</p>`
+            : '';
+        
+        // Series, previous/next and related posts come from the same index as the listing
+        const articles = await getAvailableArticles();
+        const currentArticle = articles.find(article => article.name === articleName);
+        const seriesHtml = currentArticle ? renderSeriesNavigation(getSeriesArticles(articles, currentArticle), currentArticle) : '';
+        const postNavigationHtml = currentArticle ? renderPostNavigation(findAdjacentArticles(articles, currentArticle)) : '';
+        
+        // Reading stats from the manifest, counted here for posts it doesn't list
+        const site = await loadSiteSettings();
+        const readingStats = currentArticle
+            ? formatReadingStats(currentArticle.wordCount, currentArticle.readingTime)
+            : formatReadingStats(countMarkdownWords(body), null, site.wordsPerMinute);
+        
+        // Banner on posts that readers of the live site can't see
+        const isScheduled = Boolean(isoDateTime) && new Date(isoDateTime) > new Date();
+        const draftBannerHtml = metadata.draft || isScheduled
+            ? `<div class="draft-banner" role="status">${metadata.draft
+                ? 'DRAFT: this post is not published'
+                : `SCHEDULED: this post will be published on ${escapeHtml(formatArticleDate(isoDateTime))}`}</div>`
+            : '';
+        const relatedHtml = currentArticle
+            ? renderRelatedPosts(getRelatedArticles(articles, currentArticle, getBlogConfig().relatedPosts))
+            : '';
         
         // Replace the main content with the markdown content
         const mainElement = document.querySelector('main .container');
         if (mainElement) {
             mainElement.innerHTML = `
+                ${draftBannerHtml}
                 <div class="blog-post">
                     <div class="blog-navigation">
                         <a href="/blog/" class="back-to-blog">← Back to Blog</a>
                     </div>
+                    <t_sidebar></t_sidebar>
                     <article class="markdown-content">
                         <div class="article-header">
-                            <h1 class="article-datetime">${isoDateTime}</h1>
+                            <h1 class="article-datetime">${isoDateTime ? renderTimeElement(isoDateTime) : ''}</h1>
+                            ${updatedHtml}
+                            ${metadata.author ? `<p class="article-author">By ${escapeHtml(metadata.author)}</p>` : ''}
+                            <p class="article-reading-time">${readingStats}</p>
+                            ${renderTagChips(metadata.tags)}
                         </div>
+                        ${renderCoverImage(metadata.cover, 'article-cover')}
+                        ${seriesHtml}
                         ${htmlContent}
                     </article>
+                    ${postNavigationHtml}
+                    ${relatedHtml}
                 </div>
             `;
+            
+            // Table of contents in the sidebar, built from the post's headings
+            await loadTemplate('sidebar', getTemplatePath('sidebar'));
+            const sidebar = mainElement.querySelector('.blog-post .sidebar');
+            renderTableOfContents(mainElement.querySelector('.markdown-content'), sidebar);
+            addCodeCopyButtons(mainElement.querySelector('.markdown-content'));
+            mainElement.querySelector('.blog-post').classList.toggle('has-toc', Boolean(sidebar && !sidebar.hidden));
+            scrollToLocationHash();
         }
         
-        // Update the page title with ISO date-time
-        const titleElement = document.querySelector('title');
-        if (titleElement) {
-            const now = new Date();
-            const isoDateTime = now.toISOString();
-            const postTitle = filename.replace('.md', '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-            titleElement.textContent = `${isoDateTime} - ${postTitle} - My Website Blog`;
-        }
+        // Page title, description, canonical link and sharing tags from the post metadata
+        const postText = document.createElement('template');
+        postText.innerHTML = htmlContent;
+        applySeoTags(getArticleSeo({
+            title: metadata.title || formatArticleTitle(extractArticleNameFromFilename(articleName)),
+            summary: metadata.summary,
+            text: postText.content.textContent,
+            path: currentArticle ? currentArticle.url : window.location.pathname,
+            cover: sanitizeUrl(metadata.cover),
+            isoDateTime: isoDateTime,
+            updated: metadata.updated,
+            author: metadata.author,
+            tags: metadata.tags,
+            wordCount: currentArticle ? currentArticle.wordCount : countMarkdownWords(body)
+        }, site));
         
     } catch (error) {
         console.error(`Error loading markdown file ${filename}:`, error);
-        
-        // Show error message
-        const mainElement = document.querySelector('main .container');
-        if (mainElement) {
-            mainElement.innerHTML = `
-                <div class="blog-post">
-                    <div class="blog-navigation">
-                        <a href="/blog/" class="back-to-blog">← Back to Blog</a>
-                    </div>
-                    <div class="error-message">
-                        <h1>Post Not Found</h1>
-                        <p>The blog post "${filename}" could not be found.</p>
-                        <p><a href="/blog/">Return to the blog</a></p>
-                    </div>
+        showArticleNotFound(filename);
+    }
+}
+
+// Jump to the section named in the URL, once the post it belongs to is on the page
+function scrollToLocationHash() {
+    if (!window.location.hash) {
+        return;
+    }
+    
+    let target = null;
+    try {
+        target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    } catch (error) {
+        // Malformed escape such as "#%": there is no such section
+    }
+    if (target) {
+        target.scrollIntoView({ block: 'start' });
+    }
+}
+
+// Show the "Post Not Found" message in place of the page content
+function showArticleNotFound(name) {
+    const mainElement = document.querySelector('main .container');
+    if (mainElement) {
+        mainElement.innerHTML = `
+            <div class="blog-post">
+                <div class="blog-navigation">
+                    <a href="/blog/" class="back-to-blog">← Back to Blog</a>
                 </div>
-            `;
-        }
+                <div class="error-message">
+                    <h1>Post Not Found</h1>
+                    <p>The blog post "${escapeHtml(name)}" could not be found.</p>
+                    <p><a href="/blog/">Return to the blog</a></p>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Show a "page not found" message for a missing page outside the blog
+function showPageNotFound(pathname) {
+    const mainElement = document.querySelector('main .container');
+    if (mainElement) {
+        mainElement.innerHTML = `
+            <div class="error-message">
+                <h1>Page Not Found</h1>
+                <p>There is no page at "${escapeHtml(pathname)}".</p>
+                <p><a href="/">Go to the home page</a> or <a href="/blog/">browse the blog</a>.</p>
+            </div>
+        `;
     }
 }
 
@@ -311,26 +1145,16 @@ window.addEventListener('popstate', function(event) {
     initBlogRouter();
 });
 
-// Initialize the blog router when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DOM loaded, initializing blog router...');
+// Navigate between the listing and posts client-side
+document.addEventListener('click', handleBlogLinkClick);
+
+// Search as the reader types in the blog search box
+document.addEventListener('input', handleSearchInput);
+document.addEventListener('submit', handleSearchSubmit);
+
+// Initialize the blog router once the page's templates are in place
+onTemplatesLoaded(function() {
+    console.log('Templates loaded, initializing blog router...');
     console.log('Current URL:', window.location.href);
-    console.log('Current pathname:', window.location.pathname);
-    
-    // Wait a bit for templates to load first
-    setTimeout(() => {
-        console.log('Starting blog router initialization...');
-        console.log('Templates should be loaded by now');
-        initBlogRouter();
-    }, 500); // Increased timeout to give templates more time
+    initBlogRouter();
 });
-
-// Fallback initialization in case DOMContentLoaded doesn't fire
-if (document.readyState === 'loading') {
-    console.log('Document still loading, waiting for DOMContentLoaded...');
-} else {
-    console.log('Document already loaded, initializing blog router immediately...');
-    setTimeout(() => {
-        initBlogRouter();
-    }, 1000);
-}
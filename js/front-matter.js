@@ -0,0 +1,168 @@
+// Front matter parser for blog posts
+//
+// Reads an optional YAML front matter block delimited by --- lines at the top of
+// a markdown file. Only the small subset of YAML the blog needs is supported:
+// `key: value` pairs, quoted strings, booleans, numbers, inline lists
+// (`tags: [one, two]`) and block lists (`- item` lines under a key).
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Split a markdown file into its front matter data and the remaining body
+function parseFrontMatter(markdown) {
+    const match = markdown.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { data: {}, body: markdown };
+    }
+
+    return {
+        data: parseFrontMatterBlock(match[1]),
+        body: markdown.slice(match[0].length)
+    };
+}
+
+// Parse the lines between the --- delimiters into a plain object
+function parseFrontMatterBlock(block) {
+    const data = {};
+    let currentListKey = null;
+
+    block.split(/\r?\n/).forEach(line => {
+        // Skip blank lines and comments
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+
+        // Block list item belonging to the previous key
+        const listItem = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+        if (listItem && currentListKey) {
+            data[currentListKey].push(parseFrontMatterValue(listItem[1]));
+            return;
+        }
+
+        const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!pair) {
+            console.warn(`Ignoring unrecognised front matter line: ${line}`);
+            return;
+        }
+
+        const key = pair[1];
+        const rawValue = pair[2].trim();
+
+        if (rawValue === '') {
+            // A key with no value starts a block list
+            data[key] = [];
+            currentListKey = key;
+        } else {
+            data[key] = parseFrontMatterValue(rawValue);
+            currentListKey = null;
+        }
+    });
+
+    return data;
+}
+
+// Convert a single front matter value into a string, number, boolean or list
+function parseFrontMatterValue(rawValue) {
+    const value = stripFrontMatterComment(rawValue.trim());
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        if (!inner) {
+            return [];
+        }
+        return splitInlineList(inner).map(item => parseFrontMatterValue(item));
+    }
+
+    const quoted = value.match(/^"(.*)"$/) || value.match(/^'(.*)'$/);
+    if (quoted) {
+        return quoted[1];
+    }
+
+    if (/^(true|yes)$/i.test(value)) {
+        return true;
+    }
+    if (/^(false|no)$/i.test(value)) {
+        return false;
+    }
+    if (/^(null|~)$/i.test(value)) {
+        return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+
+    return value;
+}
+
+// Remove a trailing " # comment" from an unquoted value
+function stripFrontMatterComment(value) {
+    if (value.startsWith('"') || value.startsWith("'")) {
+        return value;
+    }
+    return value.replace(/\s+#.*$/, '');
+}
+
+// Split "a, 'b, c', d" on commas that are not inside quotes
+function splitInlineList(inner) {
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of inner) {
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+            current += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current.trim());
+
+    return items.filter(item => item !== '');
+}
+
+// Pick the post metadata fields the blog understands out of raw front matter
+function getArticleMetadata(data) {
+    const tags = Array.isArray(data.tags) ? data.tags : (data.tags ? String(data.tags).split(',') : []);
+
+    return {
+        title: data.title ? String(data.title) : null,
+        summary: data.summary ? String(data.summary) : null,
+        author: data.author ? String(data.author) : null,
+        tags: tags.map(tag => String(tag).trim()).filter(tag => tag !== ''),
+        cover: data.cover ? String(data.cover) : null,
+        series: data.series ? String(data.series) : null,
+        draft: data.draft === true,
+        trusted: data.trusted === true,
+        lineNumbers: data.lineNumbers === true,
+        date: normalizeFrontMatterDate(data.date),
+        updated: normalizeFrontMatterDate(data.updated)
+    };
+}
+
+// Convert a front matter date ("2025-10-11" or a full ISO date-time) to an ISO string
+function normalizeFrontMatterDate(value) {
+    if (!value) {
+        return null;
+    }
+
+    const date = new Date(String(value));
+    if (isNaN(date.getTime())) {
+        console.warn(`Ignoring invalid front matter date: ${value}`);
+        return null;
+    }
+
+    return date.toISOString();
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseFrontMatter, getArticleMetadata };
+}
@@ -0,0 +1,281 @@
+// Syntax highlighting for code blocks in blog posts
+//
+// A small regex tokenizer per language that wraps tokens in
+// <span class="hl-..."> elements, so code is coloured when the post is
+// rendered, without a third-party library. Supports JavaScript, TypeScript,
+// shell, Python, JSON, HTML and CSS. Code in any other language is left plain.
+
+// Words highlighted in each language
+const HIGHLIGHT_JS_KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from',
+    'function', 'get', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return',
+    'set', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void',
+    'while', 'with', 'yield'
+];
+const HIGHLIGHT_JS_LITERALS = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+const HIGHLIGHT_JS_BUILTINS = [
+    'Array', 'Boolean', 'console', 'Date', 'document', 'Error', 'JSON', 'Map', 'Math',
+    'Number', 'Object', 'Promise', 'RegExp', 'Set', 'String', 'Symbol', 'window', 'require', 'module'
+];
+const HIGHLIGHT_TS_KEYWORDS = HIGHLIGHT_JS_KEYWORDS.concat([
+    'abstract', 'as', 'declare', 'enum', 'implements', 'infer', 'interface', 'is', 'keyof',
+    'namespace', 'private', 'protected', 'public', 'readonly', 'satisfies', 'type'
+]);
+const HIGHLIGHT_TS_BUILTINS = HIGHLIGHT_JS_BUILTINS.concat([
+    'any', 'bigint', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'unknown',
+    'Partial', 'Readonly', 'Record', 'Pick', 'Omit'
+]);
+const HIGHLIGHT_PYTHON_KEYWORDS = [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+    'lambda', 'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try',
+    'while', 'with', 'yield'
+];
+const HIGHLIGHT_PYTHON_LITERALS = ['True', 'False', 'None'];
+const HIGHLIGHT_PYTHON_BUILTINS = [
+    'abs', 'all', 'any', 'bool', 'dict', 'enumerate', 'filter', 'float', 'input', 'int',
+    'isinstance', 'len', 'list', 'map', 'max', 'min', 'open', 'print', 'range', 'reversed',
+    'round', 'self', 'set', 'sorted', 'str', 'sum', 'super', 'tuple', 'type', 'zip'
+];
+const HIGHLIGHT_SHELL_KEYWORDS = [
+    'case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if',
+    'in', 'local', 'readonly', 'return', 'select', 'then', 'until', 'while'
+];
+const HIGHLIGHT_SHELL_BUILTINS = [
+    'aws', 'cat', 'cd', 'chmod', 'cp', 'curl', 'docker', 'echo', 'exit', 'git', 'grep', 'ls',
+    'mkdir', 'mv', 'node', 'npm', 'npx', 'pip', 'printf', 'python', 'python3', 'read', 'rm',
+    'sed', 'set', 'source', 'sudo', 'test', 'unset'
+];
+
+// Token patterns shared by several languages
+const HIGHLIGHT_C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const HIGHLIGHT_QUOTED_STRING = /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y;
+const HIGHLIGHT_NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?n?)(?![\w$])/y;
+const HIGHLIGHT_WORD = /[A-Za-z_$][\w$]*/y;
+
+// JavaScript and TypeScript share their rules, differing only in the word lists
+function getScriptRules(keywords, builtins) {
+    return [
+        { type: 'comment', pattern: HIGHLIGHT_C_COMMENT },
+        { type: 'string', pattern: HIGHLIGHT_QUOTED_STRING },
+        { type: 'string', pattern: /`(?:\\[\s\S]|[^`\\])*`?/y },
+        { type: 'number', pattern: HIGHLIGHT_NUMBER },
+        { type: 'word', pattern: HIGHLIGHT_WORD, keywords: keywords, literals: HIGHLIGHT_JS_LITERALS, builtins: builtins }
+    ];
+}
+
+// Rules inside an HTML tag: its name, attributes and attribute values
+const HIGHLIGHT_HTML_TAG_RULES = [
+    { type: 'tag', pattern: /<\/?[\w:-]+|\/?>/y },
+    { type: 'attr-value', pattern: /"[^"]*"?|'[^']*'?/y },
+    { type: 'attr-name', pattern: /[^\s"'>\/=]+/y }
+];
+
+// Rules for each language, tried in order at every position
+const HIGHLIGHT_LANGUAGES = {
+    javascript: getScriptRules(HIGHLIGHT_JS_KEYWORDS, HIGHLIGHT_JS_BUILTINS),
+    typescript: getScriptRules(HIGHLIGHT_TS_KEYWORDS, HIGHLIGHT_TS_BUILTINS),
+    python: [
+        { type: 'comment', pattern: /#.*/y },
+        { type: 'string', pattern: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/y },
+        { type: 'meta', pattern: /@[\w.]+/y },
+        { type: 'number', pattern: HIGHLIGHT_NUMBER },
+        { type: 'word', pattern: /[A-Za-z_]\w*/y, keywords: HIGHLIGHT_PYTHON_KEYWORDS, literals: HIGHLIGHT_PYTHON_LITERALS, builtins: HIGHLIGHT_PYTHON_BUILTINS }
+    ],
+    shell: [
+        { type: 'comment', pattern: /(^|[\s;|&(])#.*/y, lookbehind: true },
+        { type: 'string', pattern: /"(?:\\[\s\S]|[^"\\])*"?|'[^']*'?/y },
+        { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|[\w@#?$!*-])/y },
+        { type: 'attr-name', pattern: /(\s)--?[\w-]+/y, lookbehind: true },
+        { type: 'number', pattern: /\d+(?![\w.-])/y },
+        { type: 'word', pattern: /[A-Za-z_][\w.-]*/y, keywords: HIGHLIGHT_SHELL_KEYWORDS, literals: ['true', 'false'], builtins: HIGHLIGHT_SHELL_BUILTINS }
+    ],
+    json: [
+        { type: 'property', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/y },
+        { type: 'string', pattern: /"(?:\\.|[^"\\\n])*"?/y },
+        { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
+        { type: 'literal', pattern: /\b(?:true|false|null)\b/y }
+    ],
+    html: [
+        { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+        { type: 'meta', pattern: /<![a-zA-Z][^>]*>?/y },
+        { type: 'tag', pattern: /<\/?[a-zA-Z][\w:-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>?/y, inside: HIGHLIGHT_HTML_TAG_RULES },
+        { type: 'entity', pattern: /&(?:#x[\da-fA-F]+|#\d+|[a-zA-Z]+);/y }
+    ],
+    css: [
+        { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+        { type: 'string', pattern: HIGHLIGHT_QUOTED_STRING },
+        { type: 'keyword', pattern: /@[\w-]+|!important/y },
+        { type: 'selector', pattern: /[^{};\/@\s][^{};\/]*(?=\{)/y },
+        { type: 'property', pattern: /--?[\w-]+(?=\s*:[^{;]*[;}])|[a-zA-Z][\w-]*(?=\s*:[^{;]*[;}])/y },
+        { type: 'number', pattern: /#[\da-fA-F]{3,8}(?![\w-])|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y },
+        { type: 'function', pattern: /[\w-]+(?=\()/y }
+    ]
+};
+
+// Other names code blocks are tagged with
+const HIGHLIGHT_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', python3: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellsession: 'shell',
+    jsonc: 'json',
+    xml: 'html', svg: 'html', xhtml: 'html'
+};
+
+// Resolve a code block's language tag to a supported language, or null
+function getHighlightLanguage(language) {
+    const name = String(language || '').toLowerCase();
+    const resolved = HIGHLIGHT_ALIASES[name] || name;
+    return Object.prototype.hasOwnProperty.call(HIGHLIGHT_LANGUAGES, resolved) ? resolved : null;
+}
+
+// The text a rule matches at index, or null. A lookbehind rule's first group
+// matches the character before index (or the start of the code) and isn't
+// part of the token; regex lookbehind would be a syntax error in older Safari.
+function matchHighlightRule(rule, code, index) {
+    const start = rule.lookbehind ? Math.max(index - 1, 0) : index;
+    rule.pattern.lastIndex = start;
+    const match = rule.pattern.exec(code);
+    if (!match) {
+        return null;
+    }
+    if (!rule.lookbehind) {
+        return match[0];
+    }
+    return start + match[1].length === index ? match[0].slice(match[1].length) : null;
+}
+
+// Split code into typed tokens; text no rule matches gets type null
+function tokenizeCode(code, rules) {
+    const tokens = [];
+    let plain = '';
+    let index = 0;
+
+    while (index < code.length) {
+        let token = null;
+
+        for (const rule of rules) {
+            const text = matchHighlightRule(rule, code, index);
+            if (!text) {
+                continue;
+            }
+            token = { rule: rule, text: text };
+            break;
+        }
+
+        if (!token) {
+            plain += code[index];
+            index++;
+            continue;
+        }
+
+        if (plain) {
+            tokens.push({ type: null, text: plain });
+            plain = '';
+        }
+
+        const rule = token.rule;
+        if (rule.inside) {
+            tokens.push(...tokenizeCode(token.text, rule.inside));
+        } else if (rule.type === 'word') {
+            tokens.push({ type: classifyWord(token.text, rule, code, index + token.text.length), text: token.text });
+        } else {
+            tokens.push({ type: rule.type, text: token.text });
+        }
+        index += token.text.length;
+    }
+
+    if (plain) {
+        tokens.push({ type: null, text: plain });
+    }
+    return tokens;
+}
+
+// Work out what kind of word an identifier is
+function classifyWord(word, rule, code, end) {
+    if (rule.keywords.includes(word)) {
+        return 'keyword';
+    }
+    if (rule.literals.includes(word)) {
+        return 'literal';
+    }
+    if (rule.builtins.includes(word)) {
+        return 'builtin';
+    }
+    if (/^\s*\(/.test(code.slice(end, end + 20))) {
+        return 'function';
+    }
+    return null;
+}
+
+// Highlight code as HTML, or return null when the language isn't supported.
+// Tokens spanning several lines are closed at each line end, so the result can
+// be split into lines without breaking the markup.
+function highlightCode(code, language) {
+    const name = getHighlightLanguage(language);
+    if (!name) {
+        return null;
+    }
+
+    return tokenizeCode(code, HIGHLIGHT_LANGUAGES[name]).map(token => {
+        if (!token.type) {
+            return escapeHtml(token.text);
+        }
+        return token.text
+            .split('\n')
+            .map(line => line ? `<span class="hl-${token.type}">${escapeHtml(line)}</span>` : '')
+            .join('\n');
+    }).join('');
+}
+
+// How long a copy button shows that the code was copied
+const HIGHLIGHT_COPIED_DELAY = 1500;
+
+// Add a copy-to-clipboard button to every code block in a container
+function addCodeCopyButtons(container) {
+    container.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        if (pre.querySelector('.code-copy')) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-copy';
+        button.textContent = 'Copy';
+        button.setAttribute('aria-label', 'Copy code to clipboard');
+        pre.classList.add('has-copy-button');
+        pre.appendChild(button);
+    });
+}
+
+// Copy the code next to a clicked copy button
+function handleCodeCopyClick(event) {
+    const button = event.target.closest('.code-copy');
+    if (!button || !navigator.clipboard) {
+        return;
+    }
+
+    const code = button.parentElement.querySelector('code');
+    navigator.clipboard.writeText(code.textContent)
+        .then(() => {
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, HIGHLIGHT_COPIED_DELAY);
+        })
+        .catch(error => {
+            console.error('Could not copy the code:', error);
+        });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('click', handleCodeCopyClick);
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { highlightCode, getHighlightLanguage };
+}
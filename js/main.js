@@ -1,16 +1,18 @@
 // Main JavaScript file for website functionality
 
-// Mobile navigation toggle
-document.addEventListener('DOMContentLoaded', function() {
+// Mobile navigation toggle, set up once the header template is on the page
+function setupNavigation() {
     const navToggle = document.getElementById('nav-toggle');
     const navMenu = document.getElementById('nav-menu');
     
-    if (navToggle && navMenu) {
-        navToggle.addEventListener('click', function() {
-            navMenu.classList.toggle('active');
-            navToggle.classList.toggle('active');
-        });
+    if (!navToggle || !navMenu) {
+        return;
     }
+    
+    navToggle.addEventListener('click', function() {
+        navMenu.classList.toggle('active');
+        navToggle.classList.toggle('active');
+    });
 
     // Close mobile menu when clicking on a link
     const navLinks = document.querySelectorAll('.nav-link');
@@ -28,26 +30,41 @@ document.addEventListener('DOMContentLoaded', function() {
             navToggle.classList.remove('active');
         }
     });
-});
+}
+
+onTemplatesLoaded(setupNavigation);
+
+// Smoothly scroll an element to the top of the viewport
+function smoothScrollTo(targetElement) {
+    targetElement.scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+    });
+}
 
 // Smooth scrolling for anchor links
+// (delegated so links added after load, such as a post's table of contents, scroll too)
 document.addEventListener('DOMContentLoaded', function() {
-    const links = document.querySelectorAll('a[href^="#"]');
-    
-    links.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            
-            const targetId = this.getAttribute('href');
-            const targetElement = document.querySelector(targetId);
-            
-            if (targetElement) {
-                targetElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-            }
-        });
+    document.addEventListener('click', function(e) {
+        const link = e.target.closest('a[href^="#"]');
+        if (!link) {
+            return;
+        }
+        e.preventDefault();
+        
+        const targetId = link.getAttribute('href');
+        let targetElement = null;
+        try {
+            targetElement = targetId.length > 1 ? document.getElementById(decodeURIComponent(targetId.slice(1))) : null;
+        } catch (error) {
+            // Malformed escape such as "#%": there is no such section
+        }
+        
+        if (targetElement) {
+            smoothScrollTo(targetElement);
+            // Keep the section in the address bar so it can be shared
+            window.history.replaceState(window.history.state, '', targetId);
+        }
     });
 });
 
@@ -0,0 +1,563 @@
+// Markdown renderer for blog posts
+//
+// A small self-contained renderer so posts can be turned into HTML without a
+// third-party library. Covers the markdown the blog uses: headings,
+// paragraphs, emphasis, links, images, inline and fenced code, block quotes,
+// nested lists, horizontal rules and raw HTML blocks, plus the GitHub
+// Flavored Markdown extensions: tables, task lists, strikethrough and
+// autolinked bare URLs.
+
+// Line patterns that start a block
+const MARKDOWN_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)(.*)$/;
+const MARKDOWN_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const MARKDOWN_LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])( {1,4}|$)(.*)$/;
+const MARKDOWN_HTML_BLOCK_PATTERN = /^ {0,3}<(?:\/?[a-zA-Z][\w-]*(?:[\s/>]|$)|!--)/;
+const MARKDOWN_INDENTED_CODE_PATTERN = /^(?: {4}|\t)/;
+const MARKDOWN_TABLE_DELIMITER_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MARKDOWN_TASK_PATTERN = /^\[([ xX])\][ \t]+/;
+
+// Bare URLs and email addresses that become links (matched against escaped text)
+const MARKDOWN_BARE_URL_PATTERN = /(^|[\s(*_~])((?:https?:\/\/|www\.)(?:(?!&lt;|&gt;|&quot;)[^\s\u0000])+)/gi;
+const MARKDOWN_BARE_EMAIL_PATTERN = /(^|[\s(*_~])([\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,})(?![\w@-])/gi;
+
+// Marker wrapped around placeholder numbers while rendering inline markdown
+const MARKDOWN_PLACEHOLDER = '\u0000';
+
+// Emphasis delimiters and the elements they produce; group 1 is text kept
+// before the delimiter (underscores only count at word boundaries)
+const MARKDOWN_EMPHASIS_RULES = [
+    { pattern: /()\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, tags: ['strong', 'em'] },
+    { pattern: /()\*\*(?=\S)([\s\S]*?\S)\*\*/g, tags: ['strong'] },
+    { pattern: /(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, tags: ['strong'] },
+    { pattern: /()\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, tags: ['em'] },
+    { pattern: /(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, tags: ['em'] },
+    { pattern: /()~~(?=\S)([\s\S]*?\S)~~/g, tags: ['del'] }
+];
+
+// Default reading speed used for reading time estimates
+const MARKDOWN_WORDS_PER_MINUTE = 200;
+
+// Render a markdown document to HTML
+//   options.breaks     - turn single newlines inside paragraphs into <br> (default true)
+//   options.headingIds - give every heading a slug id for linking (default true)
+//   options.highlight  - function(code, language) returning highlighted HTML, or null to leave the code plain
+//   options.lineNumbers - number the lines of every code block (a block can also ask
+//                         for them with "line-numbers" after its language, e.g. ```js line-numbers)
+function renderMarkdown(markdown, options = {}) {
+    const settings = Object.assign({ breaks: true, headingIds: true, highlight: null, lineNumbers: false }, options);
+    settings.headingSlugs = new Map();
+    const lines = String(markdown)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .split('\n');
+
+    return renderMarkdownBlocks(lines, settings, false);
+}
+
+// Render a list of lines as block elements; tight list items skip the <p> wrapper
+function renderMarkdownBlocks(lines, settings, tight) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(MARKDOWN_FENCE_PATTERN);
+        if (fence && !(fence[1][0] === '`' && fence[3].includes('`'))) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            html.push(renderMarkdownCodeBlock(code.join('\n'), fence[2], fence[3].trim(), settings));
+            continue;
+        }
+
+        // ATX heading
+        const heading = line.match(MARKDOWN_HEADING_PATTERN);
+        if (heading) {
+            html.push(renderMarkdownHeading(heading[1].length, heading[2] || '', settings));
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (MARKDOWN_RULE_PATTERN.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Block quote: collect the quoted lines and render them recursively
+        if (MARKDOWN_QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim()) {
+                const quoteLine = lines[i].match(MARKDOWN_QUOTE_PATTERN);
+                if (!quoteLine && startsMarkdownBlock(lines[i])) {
+                    break;
+                }
+                quoted.push(quoteLine ? quoteLine[1] : lines[i]);
+                i++;
+            }
+            html.push(`<blockquote>\n${renderMarkdownBlocks(quoted, settings, false)}</blockquote>`);
+            continue;
+        }
+
+        // List
+        if (MARKDOWN_LIST_ITEM_PATTERN.test(line)) {
+            const list = parseMarkdownList(lines, i);
+            html.push(renderMarkdownList(list, settings));
+            i = list.end;
+            continue;
+        }
+
+        // Raw HTML block, passed through until the next blank line
+        if (MARKDOWN_HTML_BLOCK_PATTERN.test(line)) {
+            const block = [];
+            while (i < lines.length && lines[i].trim()) {
+                block.push(lines[i]);
+                i++;
+            }
+            html.push(block.join('\n'));
+            continue;
+        }
+
+        // Table: a header row followed by a delimiter row with the same number of cells
+        if (startsMarkdownTable(lines, i)) {
+            const table = parseMarkdownTable(lines, i);
+            html.push(renderMarkdownTable(table, settings));
+            i = table.end;
+            continue;
+        }
+
+        // Indented code block
+        if (MARKDOWN_INDENTED_CODE_PATTERN.test(line)) {
+            const code = [];
+            while (i < lines.length && (MARKDOWN_INDENTED_CODE_PATTERN.test(lines[i]) || !lines[i].trim())) {
+                code.push(lines[i].replace(/^ {1,4}/, ''));
+                i++;
+            }
+            while (code.length > 0 && !code[code.length - 1].trim()) {
+                code.pop();
+            }
+            html.push(renderMarkdownCodeBlock(code.join('\n'), '', '', settings));
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines[i]) && !startsMarkdownTable(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        const inline = renderMarkdownInline(paragraph.join('\n'), settings);
+        html.push(tight ? inline : `<p>${inline}</p>`);
+    }
+
+    return html.join('\n') + (html.length > 0 ? '\n' : '');
+}
+
+// Whether a line starts a block that interrupts a paragraph
+function startsMarkdownBlock(line) {
+    return MARKDOWN_FENCE_PATTERN.test(line) ||
+        MARKDOWN_HEADING_PATTERN.test(line) ||
+        MARKDOWN_RULE_PATTERN.test(line) ||
+        MARKDOWN_QUOTE_PATTERN.test(line) ||
+        MARKDOWN_HTML_BLOCK_PATTERN.test(line) ||
+        /^ {0,3}([-*+]|1[.)])[ \t]+\S/.test(line);
+}
+
+// Whether a table starts at lines[index]
+function startsMarkdownTable(lines, index) {
+    if (index + 1 >= lines.length || !lines[index].includes('|') || !MARKDOWN_TABLE_DELIMITER_PATTERN.test(lines[index + 1])) {
+        return false;
+    }
+    return splitMarkdownTableRow(lines[index]).length === splitMarkdownTableRow(lines[index + 1]).length;
+}
+
+// Split a table row into its cells; "\|" is a literal pipe
+function splitMarkdownTableRow(line) {
+    const cells = [];
+    let current = '';
+    const row = line.trim().replace(/^\|/, '');
+
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '\\|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    if (current.trim() || !row.endsWith('|')) {
+        cells.push(current.trim());
+    }
+
+    return cells;
+}
+
+// Collect the header, alignments and body rows of the table starting at lines[start]
+function parseMarkdownTable(lines, start) {
+    const header = splitMarkdownTableRow(lines[start]);
+    const alignments = splitMarkdownTableRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : (right ? 'right' : (left ? 'left' : null));
+    });
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines[i])) {
+        // Rows are padded or cut to the header's width
+        const cells = splitMarkdownTableRow(lines[i]).slice(0, header.length);
+        while (cells.length < header.length) {
+            cells.push('');
+        }
+        rows.push(cells);
+        i++;
+    }
+
+    return { header: header, alignments: alignments, rows: rows, end: i };
+}
+
+// Render a parsed table
+function renderMarkdownTable(table, settings) {
+    const renderRow = (cells, tag) => {
+        const rendered = cells.map((cell, index) => {
+            const align = table.alignments[index] ? ` align="${table.alignments[index]}"` : '';
+            return `<${tag}${align}>${renderMarkdownInline(cell, settings)}</${tag}>`;
+        });
+        return `<tr>\n${rendered.join('\n')}\n</tr>`;
+    };
+
+    const head = `<thead>\n${renderRow(table.header, 'th')}\n</thead>`;
+    const body = table.rows.length > 0
+        ? `\n<tbody>\n${table.rows.map(row => renderRow(row, 'td')).join('\n')}\n</tbody>`
+        : '';
+
+    return `<table>\n${head}${body}\n</table>`;
+}
+
+// Collect the items of the list starting at lines[start]
+function parseMarkdownList(lines, start) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM_PATTERN);
+    const ordered = /\d/.test(first[2]);
+    const marker = ordered ? first[2].slice(-1) : first[2];
+    const list = {
+        ordered: ordered,
+        start: ordered ? parseInt(first[2], 10) : 1,
+        items: [],
+        loose: false,
+        end: start
+    };
+
+    let i = start;
+    while (i < lines.length) {
+        const match = lines[i].match(MARKDOWN_LIST_ITEM_PATTERN);
+        const itemMarker = match ? (/\d/.test(match[2]) ? match[2].slice(-1) : match[2]) : null;
+        if (!match || itemMarker !== marker) {
+            break;
+        }
+
+        // Continuation lines must be indented to the item's content column
+        const contentIndent = match[1].length + match[2].length + (match[3].length || 1);
+        const itemLines = [match[4]];
+        i++;
+
+        let sawBlank = false;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                sawBlank = true;
+                itemLines.push('');
+                i++;
+                continue;
+            }
+
+            const indent = line.match(/^ */)[0].length;
+            if (indent >= contentIndent) {
+                if (sawBlank) {
+                    list.loose = true;
+                }
+                itemLines.push(line.slice(contentIndent));
+                sawBlank = false;
+                i++;
+            } else if (!sawBlank && !MARKDOWN_LIST_ITEM_PATTERN.test(line) && !startsMarkdownBlock(line)) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        // A blank line between two items makes the whole list loose
+        while (itemLines.length > 0 && !itemLines[itemLines.length - 1].trim()) {
+            itemLines.pop();
+        }
+        if (sawBlank && i < lines.length) {
+            const next = lines[i].match(MARKDOWN_LIST_ITEM_PATTERN);
+            if (next && (/\d/.test(next[2]) ? next[2].slice(-1) : next[2]) === marker) {
+                list.loose = true;
+            }
+        }
+
+        list.items.push(itemLines);
+    }
+
+    list.end = i;
+    return list;
+}
+
+// Render a parsed list
+function renderMarkdownList(list, settings) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const startAttribute = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+
+    let hasTasks = false;
+
+    const items = list.items.map(itemLines => {
+        // Task list items start with "[ ]" or "[x]"
+        const task = itemLines[0].match(MARKDOWN_TASK_PATTERN);
+        if (task) {
+            hasTasks = true;
+            itemLines = [itemLines[0].slice(task[0].length)].concat(itemLines.slice(1));
+        }
+
+        const content = renderMarkdownBlocks(itemLines, settings, !list.loose).trim();
+        if (!task) {
+            return `<li>${content}</li>`;
+        }
+
+        const checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+        const taskContent = list.loose ? content.replace(/^<p>/, `<p>${checkbox}`) : checkbox + content;
+        return `<li class="task-list-item">${taskContent}</li>`;
+    });
+
+    const classAttribute = hasTasks ? ' class="contains-task-list"' : '';
+    return `<${tag}${classAttribute}${startAttribute}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+// Render a heading, with a slug id that is unique within the document
+function renderMarkdownHeading(level, text, settings) {
+    const html = renderMarkdownInline(text, settings);
+    if (!settings.headingIds) {
+        return `<h${level}>${html}</h${level}>`;
+    }
+
+    // Repeated headings get -1, -2, ... like GitHub's heading anchors
+    const slug = slugifyMarkdownHeading(html);
+    const count = settings.headingSlugs.get(slug) || 0;
+    settings.headingSlugs.set(slug, count + 1);
+    const id = count > 0 ? `${slug}-${count}` : slug;
+
+    return `<h${level} id="${escapeMarkdownAttribute(id)}">${html}</h${level}>`;
+}
+
+// Turn rendered heading HTML into a slug, e.g. "Set up <code>npm</code>!" -> "set-up-npm"
+function slugifyMarkdownHeading(html) {
+    const slug = html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:amp|lt|gt|quot|#39);/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s+/g, '-');
+    return slug || 'section';
+}
+
+// Render a code block, tagging it with its language for styling
+function renderMarkdownCodeBlock(code, language, info, settings) {
+    const classAttribute = language ? ` class="language-${escapeMarkdownAttribute(language)}"` : '';
+    const highlighted = settings.highlight && language ? settings.highlight(code, language) : null;
+    let html = highlighted !== null ? highlighted : escapeMarkdownHtml(code);
+
+    // Each line is wrapped so CSS can number it
+    const lineNumbers = settings.lineNumbers || /(?:^|\s)line-numbers(?:\s|$)/.test(info);
+    if (lineNumbers) {
+        html = html.split('\n').map(line => `<span class="code-line">${line}</span>`).join('\n');
+    }
+
+    return `<pre${lineNumbers ? ' class="line-numbers"' : ''}><code${classAttribute}>${html}\n</code></pre>`;
+}
+
+// Render inline markdown (emphasis, links, images, code spans) to HTML
+function renderMarkdownInline(text, settings) {
+    const placeholders = [];
+    const hold = html => {
+        placeholders.push(html);
+        return `${MARKDOWN_PLACEHOLDER}${placeholders.length - 1}${MARKDOWN_PLACEHOLDER}`;
+    };
+
+    let result = String(text);
+
+    // Code spans are taken literally
+    result = result.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        const trimmed = /^ [\s\S]* $/.test(code) && code.trim() ? code.slice(1, -1) : code;
+        return hold(`<code>${escapeMarkdownHtml(trimmed.replace(/\n/g, ' '))}</code>`);
+    });
+
+    // Autolinks such as <https://example.com> and <me@example.com>
+    result = result.replace(/<((?:https?|ftp|mailto):[^\s<>]+)>/gi, (match, url) => {
+        return hold(`<a href="${escapeMarkdownAttribute(url)}">${escapeMarkdownHtml(url)}</a>`);
+    });
+    result = result.replace(/<([\w.+-]+@[\w-]+(?:\.[\w-]+)+)>/g, (match, email) => {
+        return hold(`<a href="mailto:${escapeMarkdownAttribute(email)}">${escapeMarkdownHtml(email)}</a>`);
+    });
+
+    // Raw inline HTML tags and comments pass through
+    result = result.replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*)?\/?>|<!--[\s\S]*?-->/g, tag => hold(tag));
+
+    // Backslash escapes
+    result = result.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => {
+        return hold(escapeMarkdownHtml(char));
+    });
+
+    result = escapeMarkdownHtml(result, true);
+
+    // Images
+    result = result.replace(/!\[([^\]]*)\]\(\s*(&lt;[^>]*?&gt;|[^\s)]+)(?:\s+(?:&quot;(.*?)&quot;|'(.*?)'))?\s*\)/g,
+        (match, alt, src, doubleTitle, singleTitle) => {
+            const title = doubleTitle || singleTitle;
+            const titleAttribute = title ? ` title="${title}"` : '';
+            return hold(`<img src="${cleanMarkdownUrl(src)}" alt="${alt}"${titleAttribute}>`);
+        });
+
+    // Links; the link text keeps its inline formatting
+    result = result.replace(/\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(&lt;[^>]*?&gt;|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+(?:&quot;(.*?)&quot;|'(.*?)'))?\s*\)/g,
+        (match, label, href, doubleTitle, singleTitle) => {
+            const title = doubleTitle || singleTitle;
+            const titleAttribute = title ? ` title="${title}"` : '';
+            // URLs in the link text mustn't become links of their own
+            const text = label.replace(MARKDOWN_BARE_URL_PATTERN, (urlMatch, before, url) => before + hold(url));
+            return `${hold(`<a href="${cleanMarkdownUrl(href)}"${titleAttribute}>`)}${text}${hold('</a>')}`;
+        });
+
+    // Bare URLs and email addresses
+    result = result.replace(MARKDOWN_BARE_URL_PATTERN, (match, before, url) => {
+        const { link, trailing } = trimMarkdownBareUrl(url);
+        const href = /^www\./i.test(link) ? `http://${link}` : link;
+        return `${before}${hold(`<a href="${href}">${link}</a>`)}${trailing}`;
+    });
+    result = result.replace(MARKDOWN_BARE_EMAIL_PATTERN, (match, before, email) => {
+        return `${before}${hold(`<a href="mailto:${email}">${email}</a>`)}`;
+    });
+
+    // Hard line breaks, plus every newline when breaks is enabled
+    result = result.replace(settings.breaks ? / *\n/g : / {2,}\n/g, () => `${hold('<br>')}\n`);
+
+    result = renderMarkdownEmphasis(result, hold);
+
+    return restoreMarkdownPlaceholders(result, placeholders);
+}
+
+// Render emphasis, strongest first so ***text*** nests correctly. Each
+// element is held once rendered, so a delimiter inside it can't pair with one
+// outside it: **a *b** c* gives <strong>a *b</strong> c*, not crossed tags.
+function renderMarkdownEmphasis(text, hold) {
+    return MARKDOWN_EMPHASIS_RULES.reduce((result, rule) => result.replace(rule.pattern, (match, before, content) => {
+        return before + hold(`<${rule.tags.join('><')}>${renderMarkdownEmphasis(content, hold)}</${rule.tags.slice().reverse().join('></')}>`);
+    }), text);
+}
+
+// Put the held HTML back in place of its placeholders (placeholders may nest)
+function restoreMarkdownPlaceholders(html, placeholders) {
+    const pattern = new RegExp(`${MARKDOWN_PLACEHOLDER}(\\d+)${MARKDOWN_PLACEHOLDER}`, 'g');
+    let result = html;
+    while (pattern.test(result)) {
+        result = result.replace(pattern, (match, index) => placeholders[Number(index)]);
+    }
+    return result;
+}
+
+// Split trailing punctuation and unmatched closing parentheses off a bare URL
+function trimMarkdownBareUrl(url) {
+    let link = url;
+    while (link.length > 0) {
+        const last = link[link.length - 1];
+        const unmatchedParen = last === ')' && link.split(')').length > link.split('(').length;
+        const entity = link.match(/&[a-z0-9#]+;$/i);
+        if (/[?!.,:*_~']/.test(last) || unmatchedParen) {
+            link = link.slice(0, -1);
+        } else if (last === ';' && entity && entity[0] !== '&amp;') {
+            link = link.slice(0, -entity[0].length);
+        } else {
+            break;
+        }
+    }
+    return { link: link, trailing: url.slice(link.length) };
+}
+
+// Strip the optional <...> around a link destination (already HTML-escaped)
+function cleanMarkdownUrl(url) {
+    const unwrapped = url.replace(/^&lt;([\s\S]*)&gt;$/, '$1');
+    return unwrapped.replace(/"/g, '&quot;').replace(/ /g, '%20');
+}
+
+// Escape text for use in HTML; keepEntities leaves existing &name; entities alone
+function escapeMarkdownHtml(text, keepEntities) {
+    const ampersand = keepEntities ? /&(?!#?[a-zA-Z0-9]+;)/g : /&/g;
+    return String(text)
+        .replace(ampersand, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Escape text for use inside a double-quoted HTML attribute
+function escapeMarkdownAttribute(text) {
+    return escapeMarkdownHtml(text).replace(/'/g, '&#39;');
+}
+
+// Count the words a reader reads in a markdown body (front matter already removed);
+// code blocks, HTML tags and link and image URLs are left out
+function countMarkdownWords(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const prose = [];
+    let fence = null;
+
+    lines.forEach(line => {
+        const match = line.match(MARKDOWN_FENCE_PATTERN);
+        if (fence) {
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2] && !match[3].trim()) {
+                fence = null;
+            }
+        } else if (match) {
+            fence = match[1];
+        } else {
+            prose.push(line);
+        }
+    });
+
+    const text = prose.join('\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+    const words = text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu);
+    return words ? words.length : 0;
+}
+
+// Estimated reading time in whole minutes (at least one)
+function estimateReadingTime(wordCount, wordsPerMinute = MARKDOWN_WORDS_PER_MINUTE) {
+    return Math.max(1, Math.ceil(wordCount / (wordsPerMinute || MARKDOWN_WORDS_PER_MINUTE)));
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown, countMarkdownWords, estimateReadingTime };
+}
@@ -0,0 +1,250 @@
+// HTML sanitization for rendered blog posts
+//
+// Posts are written in markdown, which allows raw HTML, so the rendered
+// output is filtered against an allowlist before it reaches innerHTML.
+// Tags that aren't allowed are dropped but their text is kept; tags whose
+// content is never safe to show (scripts, styles, embeds) are dropped with
+// their content. Only allowed attributes survive, and links and images must
+// use a safe URL scheme. Posts with `trusted: true` in their front matter
+// skip this step.
+//
+// Shared by the blog page and the Node build scripts (feeds, prerender).
+
+// Attributes allowed on every element
+const SANITIZE_GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'lang', 'dir'];
+
+// Allowed elements and the extra attributes each one may carry
+const SANITIZE_ALLOWED_TAGS = {
+    a: ['href', 'rel', 'target'],
+    abbr: [],
+    b: [],
+    blockquote: ['cite'],
+    br: [],
+    caption: [],
+    code: [],
+    dd: [],
+    del: ['cite', 'datetime'],
+    details: ['open'],
+    div: [],
+    dl: [],
+    dt: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled'],
+    ins: ['cite', 'datetime'],
+    kbd: [],
+    li: ['value'],
+    mark: [],
+    ol: ['start', 'reversed', 'type'],
+    p: [],
+    pre: [],
+    q: ['cite'],
+    s: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['align', 'colspan', 'rowspan'],
+    tfoot: [],
+    th: ['align', 'colspan', 'rowspan', 'scope'],
+    thead: [],
+    time: ['datetime'],
+    tr: [],
+    u: [],
+    ul: []
+};
+
+// Elements removed together with everything inside them
+const SANITIZE_DROP_CONTENT_TAGS = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'template', 'textarea', 'select', 'title', 'xmp', 'svg', 'math'
+];
+
+// Attributes holding a URL, and the schemes they may use (relative URLs are always allowed)
+const SANITIZE_URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SANITIZE_SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Named entities worth decoding before a URL scheme is checked
+const SANITIZE_NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')'
+};
+
+const SANITIZE_TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const SANITIZE_ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Escape text for safe insertion into HTML content or attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Decode the character references in an attribute value
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        const named = SANITIZE_NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+// Return the URL if it is relative or uses a safe scheme, otherwise null
+function sanitizeUrl(url) {
+    if (url === null || url === undefined) {
+        return null;
+    }
+
+    // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+    const value = String(url).trim();
+    const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !SANITIZE_SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return null;
+    }
+
+    return value;
+}
+
+// Keep the allowed attributes of a tag, returning them as an HTML string
+function sanitizeAttributes(tagName, attributeText) {
+    const allowed = SANITIZE_ALLOWED_TAGS[tagName];
+    const attributes = [];
+    let target = null;
+
+    for (const match of attributeText.matchAll(SANITIZE_ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!SANITIZE_GLOBAL_ATTRIBUTES.includes(name) && !allowed.includes(name)) {
+            continue;
+        }
+
+        const rawValue = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        let value = rawValue !== undefined ? decodeHtmlEntities(rawValue) : '';
+
+        if (SANITIZE_URL_ATTRIBUTES.includes(name)) {
+            value = sanitizeUrl(value);
+            if (value === null) {
+                continue;
+            }
+        }
+        if (name === 'target') {
+            target = value;
+        }
+
+        attributes.push(rawValue !== undefined ? `${name}="${escapeHtml(value)}"` : name);
+    }
+
+    // Links opening a new window must not get a handle on this one
+    if (target) {
+        const relIndex = attributes.findIndex(attribute => attribute.startsWith('rel'));
+        if (relIndex !== -1) {
+            attributes.splice(relIndex, 1);
+        }
+        attributes.push('rel="noopener noreferrer"');
+    }
+
+    return attributes.length > 0 ? ' ' + attributes.join(' ') : '';
+}
+
+// Filter an HTML string against the allowlist
+function sanitizeHtml(html) {
+    const source = String(html);
+    let output = '';
+    let index = 0;
+
+    while (index < source.length) {
+        const tagStart = source.indexOf('<', index);
+        if (tagStart === -1) {
+            output += escapeHtmlText(source.slice(index));
+            break;
+        }
+        output += escapeHtmlText(source.slice(index, tagStart));
+        index = tagStart;
+
+        // Comments, doctypes and processing instructions are dropped
+        if (source.startsWith('<!--', index)) {
+            const end = source.indexOf('-->', index + 4);
+            index = end === -1 ? source.length : end + 3;
+            continue;
+        }
+        if (source[index + 1] === '!' || source[index + 1] === '?') {
+            const end = source.indexOf('>', index);
+            index = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        SANITIZE_TAG_PATTERN.lastIndex = index;
+        const match = SANITIZE_TAG_PATTERN.exec(source);
+        if (!match) {
+            // A lone "<" is text
+            output += '&lt;';
+            index++;
+            continue;
+        }
+        index = SANITIZE_TAG_PATTERN.lastIndex;
+
+        const isClosing = match[1] === '/';
+        const tagName = match[2].toLowerCase();
+
+        if (SANITIZE_DROP_CONTENT_TAGS.includes(tagName)) {
+            if (!isClosing && match[4] !== '/') {
+                const closing = new RegExp(`</${tagName}\\s*>`, 'ig');
+                closing.lastIndex = index;
+                const end = closing.exec(source);
+                index = end ? closing.lastIndex : source.length;
+            }
+            continue;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(SANITIZE_ALLOWED_TAGS, tagName)) {
+            continue;
+        }
+
+        if (isClosing) {
+            output += `</${tagName}>`;
+            continue;
+        }
+
+        // Only task list checkboxes are kept from form controls
+        const attributes = sanitizeAttributes(tagName, match[3]);
+        if (tagName === 'input' && !/\btype="checkbox"/i.test(attributes)) {
+            continue;
+        }
+
+        output += `<${tagName}${attributes}${match[4] === '/' ? ' /' : ''}>`;
+    }
+
+    return output;
+}
+
+// Escape markup characters in text while keeping existing character references
+function escapeHtmlText(text) {
+    return text
+        .replace(/&(?!(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Export for the Node build scripts. escapeHtml is made global there as well,
+// as it is on the pages, for the other shared scripts that call it.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml, decodeHtmlEntities, sanitizeUrl, sanitizeHtml };
+    global.escapeHtml = escapeHtml;
+}
@@ -0,0 +1,179 @@
+// Client-side full-text search for the blog
+//
+// Searches the prebuilt index written by scripts/build-search-index.js, so
+// nothing is sent to a search service and results work offline once the
+// index has been loaded. HTML is escaped with escapeHtml from js/sanitize.js,
+// which the blog page loads first.
+
+// How much a match in each field counts towards a result's score
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    summary: 3,
+    text: 1
+};
+
+// Body matches beyond this count stop adding to the score
+const SEARCH_MAX_TEXT_MATCHES = 10;
+
+// Index request shared by every search
+let searchIndexPromise = null;
+
+// Load the search index documents
+function loadSearchIndex(indexPath) {
+    if (!searchIndexPromise) {
+        console.log(`Loading search index: ${indexPath}`);
+
+        searchIndexPromise = fetch(indexPath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(index => {
+                // Tokenise every document once up front
+                return (index.documents || []).map(doc => Object.assign({}, doc, {
+                    words: {
+                        title: tokenizeSearchText(doc.title),
+                        tags: tokenizeSearchText((doc.tags || []).join(' ')),
+                        summary: tokenizeSearchText(doc.summary),
+                        text: tokenizeSearchText(doc.text)
+                    }
+                }));
+            })
+            .catch(error => {
+                searchIndexPromise = null;
+                throw error;
+            });
+    }
+
+    return searchIndexPromise;
+}
+
+// Split text into lowercase words
+function tokenizeSearchText(text) {
+    if (!text) {
+        return [];
+    }
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Unique search terms in a query
+function getSearchTerms(query) {
+    return Array.from(new Set(tokenizeSearchText(query)));
+}
+
+// Score how well a term matches a list of words: full words count double prefixes
+function scoreSearchTerm(words, term, maxMatches) {
+    let score = 0;
+    let matches = 0;
+
+    for (const word of words) {
+        if (word.startsWith(term)) {
+            score += word === term ? 2 : 1;
+            matches++;
+            if (maxMatches && matches >= maxMatches) {
+                break;
+            }
+        }
+    }
+
+    return score;
+}
+
+// Score a document against the search terms; every term has to match somewhere
+function scoreSearchDocument(doc, terms) {
+    let total = 0;
+
+    for (const term of terms) {
+        let termScore = 0;
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+            const maxMatches = field === 'text' ? SEARCH_MAX_TEXT_MATCHES : 0;
+            termScore += SEARCH_FIELD_WEIGHTS[field] * scoreSearchTerm(doc.words[field], term, maxMatches);
+        });
+
+        if (termScore === 0) {
+            return 0;
+        }
+        total += termScore;
+    }
+
+    return total;
+}
+
+// Rank the documents matching a query, best first and newest first on ties
+function searchDocuments(documents, query) {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    return documents
+        .map(doc => ({ document: doc, score: scoreSearchDocument(doc, terms) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score ||
+            new Date(b.document.isoDateTime) - new Date(a.document.isoDateTime));
+}
+
+// Regular expression matching any search term at the start of a word: group 1
+// is the character before the term (a lookbehind fails in older Safari), group 2 the term
+function getSearchTermPattern(terms) {
+    const alternatives = terms
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${alternatives.join('|')})`, 'giu');
+}
+
+// Position and text of a term matched by getSearchTermPattern
+function getSearchTermMatch(match) {
+    return { index: match.index + match[1].length, text: match[2] };
+}
+
+// Escape text and wrap every matched term in <mark>
+function highlightSearchTerms(text, terms) {
+    if (!text) {
+        return '';
+    }
+    if (terms.length === 0) {
+        return escapeHtml(text);
+    }
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of String(text).matchAll(getSearchTermPattern(terms))) {
+        const term = getSearchTermMatch(match);
+        html += escapeHtml(text.slice(lastIndex, term.index));
+        html += `<mark>${escapeHtml(term.text)}</mark>`;
+        lastIndex = term.index + term.text.length;
+    }
+    html += escapeHtml(text.slice(lastIndex));
+
+    return html;
+}
+
+// Short excerpt of the text around the first matched term
+function getSearchSnippet(text, terms, length = 160) {
+    if (!text) {
+        return '';
+    }
+
+    const match = terms.length > 0 ? getSearchTermPattern(terms).exec(text) : null;
+    const matchIndex = match ? getSearchTermMatch(match).index : 0;
+
+    let start = Math.max(0, matchIndex - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+
+    // Avoid cutting words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < matchIndex ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > matchIndex ? space : end;
+    }
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,143 @@
+// Search engine and social sharing metadata for blog posts
+//
+// Builds the meta description, canonical link, Open Graph and Twitter card
+// tags and a schema.org BlogPosting JSON-LD block from a post's metadata.
+// The blog page applies them to <head> when a post is shown; the build
+// scripts write the same tags into prerendered pages for crawlers that don't
+// run JavaScript.
+
+// Longest meta description generated from post text
+const SEO_DESCRIPTION_LENGTH = 160;
+
+// Attribute marking the tags added here, so they can be replaced on the next post
+const SEO_MARKER_ATTRIBUTE = 'data-seo';
+
+// Shorten plain text to a description, cutting at a word boundary
+function summarizeSeoText(text, length = SEO_DESCRIPTION_LENGTH) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) {
+        return clean;
+    }
+    const cut = clean.slice(0, length - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+// Absolute URL for a site-relative path (URLs that are already absolute are kept)
+function getSeoAbsoluteUrl(siteUrl, url) {
+    if (!url) {
+        return null;
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+        return url;
+    }
+    return `${String(siteUrl).replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+// Collect the SEO fields for a post
+//   post: { title, summary, text, path, cover, isoDateTime, updated, author, tags, wordCount }
+//   site: { name, url, language }
+function getArticleSeo(post, site) {
+    return {
+        title: post.title,
+        fullTitle: `${post.title} - ${site.name}`,
+        description: post.summary || summarizeSeoText(post.text),
+        url: getSeoAbsoluteUrl(site.url, post.path),
+        image: getSeoAbsoluteUrl(site.url, post.cover),
+        siteName: site.name,
+        language: site.language || 'en',
+        publishedTime: post.isoDateTime || null,
+        modifiedTime: post.updated || post.isoDateTime || null,
+        author: post.author || null,
+        tags: post.tags || [],
+        wordCount: post.wordCount || null
+    };
+}
+
+// schema.org BlogPosting object for a post
+function getBlogPostingJsonLd(seo) {
+    const posting = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: seo.title,
+        description: seo.description,
+        url: seo.url,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': seo.url },
+        inLanguage: seo.language,
+        publisher: { '@type': 'Organization', name: seo.siteName }
+    };
+
+    if (seo.publishedTime) {
+        posting.datePublished = seo.publishedTime;
+    }
+    if (seo.modifiedTime) {
+        posting.dateModified = seo.modifiedTime;
+    }
+    posting.author = seo.author
+        ? { '@type': 'Person', name: seo.author }
+        : { '@type': 'Organization', name: seo.siteName };
+    if (seo.image) {
+        posting.image = seo.image;
+    }
+    if (seo.tags.length > 0) {
+        posting.keywords = seo.tags.join(', ');
+    }
+    if (seo.wordCount) {
+        posting.wordCount = seo.wordCount;
+    }
+
+    return posting;
+}
+
+// Render the <head> tags for a post as an HTML string
+function renderSeoTags(seo) {
+    const marker = SEO_MARKER_ATTRIBUTE;
+    const meta = (attribute, name, content) => content
+        ? `<meta ${attribute}="${escapeHtml(name)}" content="${escapeHtml(content)}" ${marker}>`
+        : null;
+
+    // "</" is escaped so the JSON can't close its <script> element early
+    const jsonLd = JSON.stringify(getBlogPostingJsonLd(seo), null, 2).replace(/<\//g, '<\\/');
+
+    const tags = [
+        meta('name', 'description', seo.description),
+        seo.url ? `<link rel="canonical" href="${escapeHtml(seo.url)}" ${marker}>` : null,
+        meta('property', 'og:type', 'article'),
+        meta('property', 'og:title', seo.title),
+        meta('property', 'og:description', seo.description),
+        meta('property', 'og:url', seo.url),
+        meta('property', 'og:site_name', seo.siteName),
+        meta('property', 'og:image', seo.image),
+        meta('property', 'article:published_time', seo.publishedTime),
+        meta('property', 'article:modified_time', seo.modifiedTime),
+        meta('property', 'article:author', seo.author),
+        ...seo.tags.map(tag => meta('property', 'article:tag', tag)),
+        meta('name', 'twitter:card', seo.image ? 'summary_large_image' : 'summary'),
+        meta('name', 'twitter:title', seo.title),
+        meta('name', 'twitter:description', seo.description),
+        meta('name', 'twitter:image', seo.image),
+        `<script type="application/ld+json" ${marker}>\n${jsonLd}\n</script>`
+    ];
+
+    return tags.filter(tag => tag !== null).join('\n');
+}
+
+// Remove the tags added for the previous post
+function clearSeoTags(doc = document) {
+    doc.head.querySelectorAll(`[${SEO_MARKER_ATTRIBUTE}]`).forEach(element => element.remove());
+}
+
+// Replace the post tags in <head> and set the page title
+function applySeoTags(seo, doc = document) {
+    clearSeoTags(doc);
+
+    const template = doc.createElement('template');
+    template.innerHTML = renderSeoTags(seo);
+    doc.head.appendChild(template.content);
+    doc.title = seo.fullTitle;
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getArticleSeo, renderSeoTags, summarizeSeoText };
+}
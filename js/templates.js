@@ -1,74 +1,615 @@
 // Dynamic template system that scans the templates folder and loads templates
 // based on t_ tags found in the HTML
+//
+// scripts/build-static.js runs the same resolution at build time. Elements it
+// has already filled carry the data-prerendered attribute and are left alone here.
+//
+// Lifecycle: loadAllTemplates() returns a promise that resolves once every
+// template, including those inside other templates, is on the page. Each
+// template fires a "template:loaded" event on document (detail: { name,
+// elements }, or "template:error" with the error), and the page-wide load
+// fires "templates:loaded". Scripts that need the templated markup should use
+// onTemplatesLoaded(callback), which also works after the event has fired.
+//
+// Variables: a t_ element's data- attributes are passed to its template as
+// props (data-page-title="About" -> {{pageTitle}}), next to the site settings
+// from site.json as {{site.name}}, {{site.year}} and so on. {{name}} inserts
+// the value HTML-escaped, {{{name}}} inserts it as it is, and {{name|text}}
+// falls back to the text after the pipe when the value is missing or empty.
+//
+// Blocks: {{#if name}}...{{else}}...{{/if}} shows a section when the value is
+// set (an empty list counts as unset), {{#each list}}...{{/each}} repeats a
+// section for every item of a list such as {{#each site.nav}}, with the
+// item's fields, {{this}} and {{@index}} available inside, and {{> name}}
+// includes templates/name.html at that point.
+//
+// Slots: the children of a t_ element are passed into its template. A child
+// with slot="name" replaces the template's <slot name="name"> element, the
+// remaining children replace its unnamed <slot>, and a slot the page leaves
+// empty shows the slot's own content as a fallback. {{#if slots.name}} tells
+// whether the page filled a slot.
+//
+// Discovery: any element named t_something, or with a t_something class or
+// id, is filled from templates/something.html, including the ones a template
+// brings with it. A missing template file is reported with a "template:error"
+// event and an error message in the element. Templates may be nested up to
+// TEMPLATE_MAX_DEPTH deep, and a template can't appear inside its own content
+// (directly or through other templates), which would otherwise load forever.
+//
+// Caching: template files are fetched once per page and a copy is kept in
+// localStorage, so later visits render straight from it while the copy is
+// checked in the background (stale-while-revalidate). The check fetches
+// templates/manifest.json, which scripts/build-template-manifest.js writes on
+// deploy with a hash of every template; only templates whose hash changed are
+// downloaded again, and the new copy is used from the next page on. Pages can
+// set window.TEMPLATE_CACHE = false to always fetch (the dev server does).
+
+// Folder the templates are fetched from
+const TEMPLATE_BASE_PATH = '/templates/';
+
+// Attribute marking t_ elements filled in by the static build
+const TEMPLATE_PRERENDERED_ATTRIBUTE = 'data-prerendered';
+
+// Attribute marking t_ elements filled in here, so later passes skip them
+// (its value is the template's name, which gives the nesting of the templates inside)
+const TEMPLATE_LOADED_ATTRIBUTE = 'data-template-loaded';
+
+// Most templates that can be nested inside each other
+const TEMPLATE_MAX_DEPTH = 10;
+
+// The name in a t_ tag, class or id, e.g. "t_header" -> "header"
+const TEMPLATE_NAME_PATTERN = /^t_([\w-]+)$/;
+
+// Site settings shared by every template
+const TEMPLATE_SITE_SETTINGS_PATH = '/site.json';
+
+// Template hashes written on deploy by scripts/build-template-manifest.js
+const TEMPLATE_MANIFEST_PATH = '/templates/manifest.json';
+
+// Prefix of the localStorage keys holding stored templates, e.g. "template:/templates/header.html"
+const TEMPLATE_STORAGE_PREFIX = 'template:';
+
+// {{{raw}}} and {{escaped}} placeholders, each with an optional |fallback
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\{\s*([@\w.]+)\s*(?:\|([^}]*))?\}\}\}|\{\{\s*([@\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// {{#if name}}, {{#each name}}, {{else}}, {{/if}} and {{/each}}
+const TEMPLATE_BLOCK_PATTERN = /\{\{\s*(?:#(if|each)\s+([@\w.]+)|(else)|\/(if|each))\s*\}\}/g;
+
+// {{> name}} partial includes
+const TEMPLATE_PARTIAL_PATTERN = /\{\{>\s*([\w\/-]+)\s*\}\}/g;
+
+// A <slot> in a template, with its fallback content
+const TEMPLATE_SLOT_PATTERN = /<slot(?:\s+name\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?\s*>([\s\S]*?)<\/slot\s*>/gi;
+
+// Comments and tags in the markup a page passes to a template
+const TEMPLATE_MARKUP_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+// The slot="name" attribute of a tag
+const TEMPLATE_SLOT_ATTRIBUTE_PATTERN = /(?:^|\s)slot\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/i;
+
+// Elements that never have a closing tag
+const TEMPLATE_VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+];
+
+// Name used for the unnamed slot
+const TEMPLATE_DEFAULT_SLOT = 'default';
+
+// Whether the page's templates have all been loaded
+let templatesLoaded = false;
+
+// Request for the template globals, shared by every template on the page
+let templateGlobalsPromise = null;
+
+// Request for the template manifest, shared by every template on the page
+let templateManifestPromise = null;
+
+// Template sources requested on this page, by path (kept across blog navigations)
+const templateFileCache = new Map();
+
+// Nodes the head template moved into <head>, with the templates they came from
+// (they end up outside the t_head element, so it isn't among their ancestors)
+const headTemplateChains = new WeakMap();
+
+// Path of a template file, e.g. "header" -> "/templates/header.html"
+function getTemplatePath(templateName) {
+    return `${TEMPLATE_BASE_PATH}${templateName}.html`;
+}
+
+// Look up a dotted name such as "site.name" in a template context
+function getTemplateValue(context, name) {
+    return name.split('.').reduce(
+        (value, key) => value !== null && value !== undefined ? value[key] : undefined,
+        context
+    );
+}
+
+// Whether a value switches on an {{#if}} block
+function isTemplateValueSet(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Names of the partials a template includes with {{> name}}
+function findTemplatePartialNames(templateContent) {
+    return Array.from(templateContent.matchAll(TEMPLATE_PARTIAL_PATTERN), match => match[1]);
+}
+
+// Replace {{> name}} includes with the partials' content, refusing include cycles
+function expandTemplatePartials(templateContent, partials, includeChain = []) {
+    return templateContent.replace(TEMPLATE_PARTIAL_PATTERN, (match, name) => {
+        if (includeChain.includes(name)) {
+            throw new Error(`Partial include cycle: ${includeChain.concat(name).join(' > ')}`);
+        }
+        if (typeof partials[name] !== 'string') {
+            throw new Error(`Partial "${name}" was not loaded`);
+        }
+        return expandTemplatePartials(partials[name], partials, includeChain.concat(name));
+    });
+}
+
+// Split a template into text and nested {{#if}}/{{#each}} blocks
+function parseTemplateBlocks(templateContent) {
+    const root = { children: [] };
+    root.current = root.children;
+    const stack = [root];
+    let index = 0;
+    
+    for (const match of templateContent.matchAll(TEMPLATE_BLOCK_PATTERN)) {
+        const block = stack[stack.length - 1];
+        block.current.push(templateContent.slice(index, match.index));
+        index = match.index + match[0].length;
+        
+        if (match[1]) {
+            const child = { type: match[1], name: match[2], children: [], inverse: [] };
+            child.current = child.children;
+            block.current.push(child);
+            stack.push(child);
+        } else if (match[3]) {
+            if (block === root) {
+                throw new Error('{{else}} outside an {{#if}} or {{#each}} block');
+            }
+            block.current = block.inverse;
+        } else {
+            if (block === root || block.type !== match[4]) {
+                throw new Error(`Unexpected {{/${match[4]}}}`);
+            }
+            stack.pop();
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].type} ${stack[stack.length - 1].name}}}`);
+    }
+    root.children.push(templateContent.slice(index));
+    return root.children;
+}
+
+// Render parsed template parts with the given variables
+function renderTemplateParts(parts, context) {
+    return parts.map(part => {
+        if (typeof part === 'string') {
+            return renderTemplateVariables(part, context);
+        }
+        
+        const value = getTemplateValue(context, part.name);
+        if (part.type === 'if') {
+            return renderTemplateParts(isTemplateValueSet(value) ? part.children : part.inverse, context);
+        }
+        
+        // {{#each}}: the item's own fields are in scope alongside the outer variables
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) {
+            return renderTemplateParts(part.inverse, context);
+        }
+        return items.map((item, itemIndex) => renderTemplateParts(part.children, Object.assign(
+            {},
+            context,
+            item !== null && typeof item === 'object' ? item : {},
+            { this: item, '@index': itemIndex, '@first': itemIndex === 0, '@last': itemIndex === items.length - 1 }
+        ))).join('');
+    }).join('');
+}
+
+// Fill in a template's includes, blocks and placeholders (shared with the static build)
+function renderTemplate(templateContent, context, partials = {}) {
+    return renderTemplateParts(parseTemplateBlocks(expandTemplatePartials(templateContent, partials)), context);
+}
+
+// Fill in the placeholders of a piece of template text
+function renderTemplateVariables(templateContent, context) {
+    return templateContent.replace(TEMPLATE_VARIABLE_PATTERN, (match, rawName, rawFallback, name, fallback) => {
+        const isRaw = rawName !== undefined;
+        const value = getTemplateValue(context, isRaw ? rawName : name);
+        
+        if (value === undefined || value === null || value === '') {
+            const fallbackText = isRaw ? rawFallback : fallback;
+            return fallbackText !== undefined ? fallbackText.trim() : '';
+        }
+        return isRaw ? String(value) : escapeHtml(value);
+    });
+}
+
+// Sort the markup a page puts inside a t_ element into slots: top-level
+// elements with a slot attribute go to that slot, everything else to the default one
+function collectTemplateSlots(html) {
+    const slots = { [TEMPLATE_DEFAULT_SLOT]: '' };
+    let depth = 0;
+    let index = 0;
+    let slotted = null;
+    
+    const addToSlot = (name, content) => {
+        slots[name] = (slots[name] || '') + content;
+    };
+    
+    for (const match of html.matchAll(TEMPLATE_MARKUP_PATTERN)) {
+        const [tag, closing, tagName, attributes, selfClosing] = match;
+        if (!tagName) {
+            continue; // Comment
+        }
+        const end = match.index + tag.length;
+        
+        if (closing) {
+            depth = Math.max(depth - 1, 0);
+        } else {
+            if (depth === 0) {
+                const slotMatch = attributes.match(TEMPLATE_SLOT_ATTRIBUTE_PATTERN);
+                if (slotMatch) {
+                    addToSlot(TEMPLATE_DEFAULT_SLOT, html.slice(index, match.index));
+                    slotted = { name: slotMatch[1] || slotMatch[2] || slotMatch[3], start: match.index };
+                }
+            }
+            if (!selfClosing && !TEMPLATE_VOID_ELEMENTS.includes(tagName.toLowerCase())) {
+                depth++;
+            }
+        }
+        
+        // The slotted element ends when the markup is back at the top level
+        if (slotted && depth === 0) {
+            addToSlot(slotted.name, html.slice(slotted.start, end));
+            index = end;
+            slotted = null;
+        }
+    }
+    
+    addToSlot(slotted ? slotted.name : TEMPLATE_DEFAULT_SLOT, html.slice(slotted ? slotted.start : index));
+    return slots;
+}
+
+// Replace a rendered template's <slot> elements with the page's content or their fallback
+function fillTemplateSlots(html, slots) {
+    return html.replace(TEMPLATE_SLOT_PATTERN, (match, doubleQuoted, singleQuoted, unquoted, fallback) => {
+        const name = doubleQuoted || singleQuoted || unquoted || TEMPLATE_DEFAULT_SLOT;
+        const content = slots[name];
+        return content !== undefined && content.trim() !== '' ? content : fallback;
+    });
+}
+
+// Render a template with the page's content in its slots (shared with the static build)
+function renderSlottedTemplate(templateContent, context, partials, slots) {
+    const filledSlots = {};
+    Object.keys(slots).forEach(name => {
+        filledSlots[name] = slots[name].trim() !== '';
+    });
+    
+    const rendered = renderTemplate(templateContent, Object.assign({}, context, { slots: filledSlots }), partials);
+    return fillTemplateSlots(rendered, slots);
+}
+
+// Props passed to a template through data- attributes, e.g. data-page-title -> pageTitle
+function getTemplateProps(attributes) {
+    const props = {};
+    Array.from(attributes).forEach(attribute => {
+        if (attribute.name.startsWith('data-')) {
+            const key = attribute.name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            props[key] = attribute.value;
+        }
+    });
+    return props;
+}
+
+// Values every template can use, from site.json plus the current year
+function createTemplateGlobals(site) {
+    return {
+        site: Object.assign({}, site, { year: new Date().getFullYear() })
+    };
+}
+
+// Load the template globals once per page; links use the origin the page is served from
+function loadTemplateGlobals() {
+    if (!templateGlobalsPromise) {
+        templateGlobalsPromise = fetch(TEMPLATE_SITE_SETTINGS_PATH)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn('Could not load site settings for templates:', error);
+                return {};
+            })
+            .then(site => createTemplateGlobals(Object.assign({}, site, { url: window.location.origin })));
+    }
+    
+    return templateGlobalsPromise;
+}
+
+// The variables a t_ element's template is rendered with: the globals plus its props
+function getTemplateContext(element, globals) {
+    return Object.assign({}, globals, getTemplateProps(element.attributes));
+}
+
+// The template an element asks for: its t_ tag name, else its t_ id, else its first t_ class
+function getTemplateName(element) {
+    const candidates = [element.tagName.toLowerCase(), element.id].concat(Array.from(element.classList));
+    const match = candidates.map(candidate => TEMPLATE_NAME_PATTERN.exec(candidate)).find(Boolean);
+    return match ? match[1] : null;
+}
+
+// t_ elements (custom elements, classes and ids) still waiting for a template,
+// optionally only those for one template
+function findPendingTemplateElements(templateName) {
+    return Array.from(document.querySelectorAll('*')).filter(element => {
+        const name = getTemplateName(element);
+        return name !== null && (templateName === undefined || name === templateName) &&
+            !element.hasAttribute(TEMPLATE_PRERENDERED_ATTRIBUTE) &&
+            !element.hasAttribute(TEMPLATE_LOADED_ATTRIBUTE);
+    });
+}
+
+// Names of the templates an element sits inside, outermost first
+// (the layout marks <html> itself, since it replaces the whole page)
+function getTemplateChain(element) {
+    const chain = [];
+    for (let node = element; node; node = node.parentElement) {
+        const name = node !== element ? node.getAttribute(TEMPLATE_LOADED_ATTRIBUTE) : null;
+        if (name) {
+            chain.unshift(name);
+        }
+        if (headTemplateChains.has(node)) {
+            return headTemplateChains.get(node).concat(chain);
+        }
+    }
+    return chain;
+}
+
+// Refuse to fill a template inside itself or nested too deep (shared with the static build)
+function checkTemplateNesting(templateName, chain) {
+    if (chain.includes(templateName)) {
+        throw new Error(`Template include cycle: ${chain.slice(chain.indexOf(templateName)).concat(templateName).join(' > ')}`);
+    }
+    if (chain.length >= TEMPLATE_MAX_DEPTH) {
+        throw new Error(`Templates nested more than ${TEMPLATE_MAX_DEPTH} deep: ${chain.concat(templateName).join(' > ')}`);
+    }
+}
+
+// Show a template's failure in its element, marking it so it isn't tried again
+function showTemplateError(element, templateName) {
+    element.innerHTML = `<div class="template-error">Error loading template: ${escapeHtml(templateName)}</div>`;
+    element.setAttribute(TEMPLATE_LOADED_ATTRIBUTE, templateName);
+}
+
+// Tell other scripts about a template
+function dispatchTemplateEvent(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+}
+
+// Whether templates may be served from the browser's stored copies
+function isTemplateCacheEnabled() {
+    if (window.TEMPLATE_CACHE === false) {
+        return false;
+    }
+    try {
+        return typeof localStorage !== 'undefined';
+    } catch (error) {
+        // Storage can be unavailable (e.g. blocked cookies)
+        return false;
+    }
+}
+
+// Download a template file from the server
+async function downloadTemplateFile(templatePath) {
+    console.log(`Fetching template from: ${templatePath}`);
+    const response = await fetch(templatePath);
+    if (response.status === 404) {
+        throw new Error(`Template not found: ${templatePath}`);
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.text();
+}
+
+// Load the template manifest once per page, always asking the server for the
+// current one (resolves with null when there is none, e.g. before the first deploy)
+function loadTemplateManifest() {
+    if (!templateManifestPromise) {
+        templateManifestPromise = fetch(TEMPLATE_MANIFEST_PATH, { cache: 'no-cache' })
+            .then(response => response.ok ? response.json() : null)
+            .catch(error => {
+                console.warn('Could not load the template manifest:', error);
+                return null;
+            });
+    }
+    
+    return templateManifestPromise;
+}
+
+// Hash the manifest lists for a template path, or undefined when it isn't listed
+function getTemplateManifestHash(manifest, templatePath) {
+    const name = templatePath.slice(TEMPLATE_BASE_PATH.length).replace(/\.html$/, '');
+    return manifest && manifest.templates ? manifest.templates[name] : undefined;
+}
+
+// The stored copy of a template ({ hash, content }), or null
+function readStoredTemplate(templatePath) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_PREFIX + templatePath));
+        return stored && typeof stored.content === 'string' ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keep a copy of a template for the next visit
+function storeTemplate(templatePath, hash, content) {
+    try {
+        localStorage.setItem(TEMPLATE_STORAGE_PREFIX + templatePath, JSON.stringify({ hash: hash || null, content: content }));
+    } catch (error) {
+        // Storage can be full or blocked; the template is simply fetched next time
+        console.warn(`Could not store template ${templatePath}:`, error);
+    }
+}
+
+// Check a stored template against the manifest and download it again if it
+// changed (without a manifest it is always downloaded again)
+async function revalidateTemplate(templatePath, stored) {
+    try {
+        const manifest = await loadTemplateManifest();
+        const hash = getTemplateManifestHash(manifest, templatePath);
+        if (manifest && hash === undefined) {
+            // The template was removed from the site
+            localStorage.removeItem(TEMPLATE_STORAGE_PREFIX + templatePath);
+            return;
+        }
+        if (hash && hash === stored.hash) {
+            return;
+        }
+        
+        storeTemplate(templatePath, hash, await downloadTemplateFile(templatePath));
+        console.log(`Updated stored template: ${templatePath}`);
+    } catch (error) {
+        console.warn(`Could not revalidate template ${templatePath}:`, error);
+    }
+}
+
+// The source of a template: the stored copy when there is one (checked in
+// the background), otherwise downloaded and stored
+async function getTemplateSource(templatePath) {
+    if (!isTemplateCacheEnabled()) {
+        return downloadTemplateFile(templatePath);
+    }
+    
+    const stored = readStoredTemplate(templatePath);
+    if (stored) {
+        revalidateTemplate(templatePath, stored);
+        return stored.content;
+    }
+    
+    const [content, manifest] = await Promise.all([downloadTemplateFile(templatePath), loadTemplateManifest()]);
+    storeTemplate(templatePath, getTemplateManifestHash(manifest, templatePath), content);
+    return content;
+}
+
+// Fetch the source of a template file, once per page
+function fetchTemplateFile(templatePath) {
+    if (!templateFileCache.has(templatePath)) {
+        // A failed request is forgotten so the next use tries again
+        templateFileCache.set(templatePath, getTemplateSource(templatePath).catch(error => {
+            templateFileCache.delete(templatePath);
+            throw error;
+        }));
+    }
+    
+    return templateFileCache.get(templatePath);
+}
+
+// Fetch every partial a template includes, and the partials those include
+async function loadTemplatePartials(templateContent, partials = {}) {
+    // Names are claimed before fetching so an include cycle isn't fetched forever
+    // (renderTemplate reports the cycle)
+    const names = findTemplatePartialNames(templateContent).filter(name => !(name in partials));
+    names.forEach(name => {
+        partials[name] = null;
+    });
+    
+    const contents = await Promise.all(names.map(name => fetchTemplateFile(getTemplatePath(name))));
+    names.forEach((name, index) => {
+        partials[name] = contents[index];
+    });
+    
+    await Promise.all(contents.map(content => loadTemplatePartials(content, partials)));
+    return partials;
+}
 
 // Function to load a template from an HTML file into matching t_ elements
+// (resolves with the elements that were filled)
 async function loadTemplate(templateName, templatePath) {
     try {
-        console.log(`Fetching template from: ${templatePath}`);
-        const response = await fetch(templatePath);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const templateContent = await response.text();
+        const templateContent = await fetchTemplateFile(templatePath);
+        const partials = await loadTemplatePartials(templateContent);
+        const globals = await loadTemplateGlobals();
         console.log(`Successfully loaded template: ${templateName}, content length: ${templateContent.length}`);
         
         // Find all elements with the matching t_ tag
-        const elements = document.querySelectorAll(`t_${templateName}`);
+        const elements = findPendingTemplateElements(templateName);
+        const failed = [];
+        let nestingError = null;
         console.log(`Found ${elements.length} elements for template: ${templateName}`);
         
         elements.forEach(element => {
+            try {
+                checkTemplateNesting(templateName, getTemplateChain(element));
+            } catch (error) {
+                console.error(`Error loading template ${templateName}:`, error.message);
+                showTemplateError(element, templateName);
+                failed.push(element);
+                nestingError = error;
+                return;
+            }
+            
             // Check if this is a layout template
             if (templateName === 'layout') {
-                renderLayoutTemplate(element, templateContent);
+                renderLayoutTemplate(element, templateContent, globals, partials);
             } else if (templateName === 'head') {
                 // Special handling for head template - insert into actual <head> element
-                insertHeadContent(templateContent);
+                insertHeadContent(
+                    renderTemplate(templateContent, getTemplateContext(element, globals), partials),
+                    getTemplateChain(element).concat(templateName)
+                );
             } else {
-                // No path adjustment needed since we're using absolute paths
-                element.innerHTML = templateContent;
+                // The element's own children fill the template's slots
+                const slots = collectTemplateSlots(element.innerHTML);
+                element.innerHTML = renderSlottedTemplate(templateContent, getTemplateContext(element, globals), partials, slots);
             }
+            element.setAttribute(TEMPLATE_LOADED_ATTRIBUTE, templateName);
         });
         
-        console.log(`Loaded template: ${templateName} into ${elements.length} element(s)`);
+        const loaded = elements.filter(element => !failed.includes(element));
+        console.log(`Loaded template: ${templateName} into ${loaded.length} element(s)`);
+        if (failed.length > 0) {
+            dispatchTemplateEvent('template:error', { name: templateName, elements: failed, error: nestingError });
+        }
+        dispatchTemplateEvent('template:loaded', { name: templateName, elements: loaded });
+        return elements;
     } catch (error) {
         console.error(`Error loading template ${templateName} from ${templatePath}:`, error);
         // Fallback: show error message in matching t_ elements
-        const elements = document.querySelectorAll(`t_${templateName}`);
-        elements.forEach(element => {
-            element.innerHTML = `<div class="template-error">Error loading template: ${templateName}</div>`;
-        });
+        const elements = findPendingTemplateElements(templateName);
+        elements.forEach(element => showTemplateError(element, templateName));
+        dispatchTemplateEvent('template:error', { name: templateName, elements: elements, error: error });
+        return elements;
     }
 }
 
 // Function to render layout template with content substitution
-function renderLayoutTemplate(element, templateContent) {
-    // Get the content from within the t_layout tags
-    const content = element.innerHTML;
-    
-    // Get data attributes for template variables
-    const title = element.getAttribute('data-title') || 'Page';
-    const head = element.getAttribute('data-head') || '';
-    const scripts = element.getAttribute('data-scripts') || '';
-    
-    // Replace template variables
-    let renderedContent = templateContent
-        .replace('{{title}}', title)
-        .replace('{{head}}', head)
-        .replace('{{content}}', content)
-        .replace('{{scripts}}', scripts);
+function renderLayoutTemplate(element, templateContent, globals, partials) {
+    // The data attributes (title, head, scripts) plus the content from within the
+    // t_layout tags; children with a slot attribute go to the layout's named slots
+    const slots = collectTemplateSlots(element.innerHTML);
+    const context = getTemplateContext(element, globals);
+    context.content = slots[TEMPLATE_DEFAULT_SLOT];
+    const renderedContent = renderSlottedTemplate(templateContent, context, partials, slots);
     
     // Replace the entire document with the rendered layout
+    // (loadAllTemplates then fills in the templates the layout uses)
     document.documentElement.innerHTML = renderedContent;
-    
-    // Re-run the template loading for any nested templates after a short delay
-    // to ensure the DOM is fully updated
-    setTimeout(() => {
-        loadAllTemplates();
-    }, 50);
+    document.documentElement.setAttribute(TEMPLATE_LOADED_ATTRIBUTE, 'layout');
 }
 
 // Function to insert head content into the actual <head> element
-function insertHeadContent(templateContent) {
+// (chain is the templates the content came from, for checkTemplateNesting)
+function insertHeadContent(templateContent, chain) {
     const head = document.head;
     
     // No path adjustment needed since we're using absolute paths
@@ -80,75 +621,80 @@ function insertHeadContent(templateContent) {
     
     // Move all child elements to the head
     while (tempDiv.firstChild) {
+        headTemplateChains.set(tempDiv.firstChild, chain);
         head.appendChild(tempDiv.firstChild);
     }
 }
 
-// Function to scan for t_ tags and load corresponding templates
+// Names of the templates used by t_ tags that haven't been filled in yet
+function findTemplateNames() {
+    const templateNames = new Set(findPendingTemplateElements().map(getTemplateName));
+    return Array.from(templateNames);
+}
+
+// Function to scan for t_ tags and load corresponding templates, repeating
+// for any t_ tags the loaded templates (or a layout) bring with them
+// (checkTemplateNesting stops this once templates are nested too deep)
 async function loadAllTemplates() {
     console.log('Starting template loading...');
     
-    // Find all t_ tags in the current page
-    const templateTags = document.querySelectorAll('[class*="t_"], [id*="t_"]');
-    const templateNames = new Set();
-    console.log('Found template tags:', templateTags.length);
-    
-    // Extract template names from t_ tags
-    templateTags.forEach(tag => {
-        const className = tag.className;
-        const id = tag.id;
-        
-        // Check class names for t_ pattern
-        if (className) {
-            const classMatches = className.match(/t_(\w+)/g);
-            if (classMatches) {
-                classMatches.forEach(match => {
-                    templateNames.add(match.substring(2)); // Remove 't_' prefix
-                });
-            }
-        }
-        
-        // Check id for t_ pattern
-        if (id && id.startsWith('t_')) {
-            templateNames.add(id.substring(2)); // Remove 't_' prefix
-        }
-    });
-    
-    // Also check for custom t_ elements (like <t_header>, <t_footer>, <t_nav>, <t_sidebar>, <t_layout>, <t_head>)
-    const customElements = document.querySelectorAll('t_header, t_footer, t_nav, t_sidebar, t_layout, t_head');
-    console.log('Found custom elements:', customElements.length);
-    customElements.forEach(element => {
-        const tagName = element.tagName.toLowerCase();
-        console.log('Processing custom element:', tagName);
-        if (tagName.startsWith('t_')) {
-            templateNames.add(tagName.substring(2)); // Remove 't_' prefix
+    try {
+        let templateNames = findTemplateNames();
+        while (templateNames.length > 0) {
+            console.log('Found template tags:', templateNames);
+            
+            // Load each template
+            await Promise.all(templateNames.map(templateName => {
+                // Use absolute path for templates
+                const templatePath = getTemplatePath(templateName);
+                console.log(`Loading template: ${templateName} from ${templatePath}`);
+                return loadTemplate(templateName, templatePath);
+            }));
+            templateNames = findTemplateNames();
         }
-    });
-    
-    console.log('Found template tags:', Array.from(templateNames));
-    
-    // Load each template
-    const loadPromises = Array.from(templateNames).map(templateName => {
-        // Use absolute path for templates
-        const templatePath = `/templates/${templateName}.html`;
-        console.log(`Loading template: ${templateName} from ${templatePath}`);
-        return loadTemplate(templateName, templatePath);
-    });
-    
-    await Promise.all(loadPromises);
+    } finally {
+        templatesLoaded = true;
+        dispatchTemplateEvent('templates:loaded', {});
+    }
 }
 
-// Load templates when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
+// Run a callback once the page's templates are in place (straight away if they already are)
+function onTemplatesLoaded(callback) {
+    if (templatesLoaded) {
+        callback();
+    } else {
+        document.addEventListener('templates:loaded', () => callback(), { once: true });
+    }
+}
+
+// Load templates as soon as the page has been parsed
+function loadPageTemplates() {
     console.log('DOM loaded, starting template loading...');
-    // Add a small delay to ensure everything is ready
-    setTimeout(() => {
-        try {
-            loadAllTemplates().catch(error => {
-                console.error('Error loading templates:', error);
-            });
-        } catch (error) {
-            console.error('Error in template loading:', error);
-        }
-    }, 100);
-});
+    loadAllTemplates().catch(error => {
+        console.error('Error loading templates:', error);
+    });
+}
+
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadPageTemplates);
+    } else {
+        loadPageTemplates();
+    }
+}
+
+// Export for the Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEMPLATE_PRERENDERED_ATTRIBUTE,
+        getTemplatePath,
+        checkTemplateNesting,
+        TEMPLATE_DEFAULT_SLOT,
+        findTemplatePartialNames,
+        renderTemplate,
+        collectTemplateSlots,
+        renderSlottedTemplate,
+        getTemplateProps,
+        createTemplateGlobals
+    };
+}
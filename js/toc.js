@@ -0,0 +1,130 @@
+// Table of contents and heading anchors for long pages
+//
+// Works from headings that already carry an id (js/markdown.js gives every
+// rendered heading a slug id). The contents are written into the sidebar
+// template, and the entry for the section being read is highlighted as the
+// page scrolls. Clicks on the links are smooth-scrolled by js/main.js.
+
+// Heading levels listed in the table of contents
+const TOC_HEADING_SELECTOR = 'h2[id], h3[id], h4[id]';
+
+// How long the "copied" state stays on an anchor link
+const TOC_COPIED_DELAY = 1500;
+
+// Observer tracking which section is on screen
+let tocScrollSpy = null;
+
+// Build a nested list from headings, indenting each level under the one before it
+function buildTableOfContents(headings) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    headings.forEach(heading => {
+        const level = parseInt(heading.tagName.slice(1), 10);
+        const entry = { level: level, id: heading.id, text: heading.textContent.trim(), children: [] };
+
+        while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+            stack.pop();
+        }
+        stack[stack.length - 1].children.push(entry);
+        stack.push(entry);
+    });
+
+    const renderEntries = entries => `<ul>${entries.map(entry => `
+        <li><a href="#${encodeURIComponent(entry.id)}" data-toc-id="${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a>${
+            entry.children.length > 0 ? renderEntries(entry.children) : ''}</li>`).join('')}</ul>`;
+
+    return renderEntries(root.children);
+}
+
+// Add a "#" link to every heading that copies the section's URL when clicked
+function addHeadingAnchors(container) {
+    container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${encodeURIComponent(heading.id)}`;
+        anchor.setAttribute('aria-label', `Copy link to "${heading.textContent.trim()}"`);
+        anchor.textContent = '#';
+        heading.appendChild(anchor);
+    });
+}
+
+// Copy a heading anchor's full URL to the clipboard
+function handleHeadingAnchorClick(event) {
+    const anchor = event.target.closest('.heading-anchor');
+    if (!anchor || !navigator.clipboard) {
+        return;
+    }
+
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${anchor.getAttribute('href')}`;
+    navigator.clipboard.writeText(url)
+        .then(() => {
+            anchor.classList.add('copied');
+            setTimeout(() => anchor.classList.remove('copied'), TOC_COPIED_DELAY);
+        })
+        .catch(error => {
+            console.error('Could not copy the section link:', error);
+        });
+}
+
+// Highlight the contents entry of the heading nearest the top of the viewport
+function startScrollSpy(headings, toc) {
+    stopScrollSpy();
+    if (typeof IntersectionObserver === 'undefined' || headings.length === 0) {
+        return;
+    }
+
+    const visible = new Set();
+    const setActive = id => {
+        toc.querySelectorAll('a.active').forEach(link => link.classList.remove('active'));
+        const link = toc.querySelector(`a[data-toc-id="${CSS.escape(id)}"]`);
+        if (link) {
+            link.classList.add('active');
+        }
+    };
+
+    tocScrollSpy = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                visible.add(entry.target);
+            } else {
+                visible.delete(entry.target);
+            }
+        });
+
+        // The first heading on screen wins; between headings the last one passed stays active
+        const current = headings.find(heading => visible.has(heading)) ||
+            headings.filter(heading => heading.getBoundingClientRect().top < 0).pop();
+        if (current) {
+            setActive(current.id);
+        }
+    }, { rootMargin: '0px 0px -60% 0px' });
+
+    headings.forEach(heading => tocScrollSpy.observe(heading));
+}
+
+// Stop tracking the previous page's headings
+function stopScrollSpy() {
+    if (tocScrollSpy) {
+        tocScrollSpy.disconnect();
+        tocScrollSpy = null;
+    }
+}
+
+// Fill the sidebar with the contents of a rendered page and add heading anchors
+function renderTableOfContents(container, sidebar) {
+    const headings = Array.from(container.querySelectorAll(TOC_HEADING_SELECTOR));
+    const toc = sidebar ? sidebar.querySelector('.toc') : null;
+
+    if (toc && headings.length > 0) {
+        toc.innerHTML = buildTableOfContents(headings);
+        sidebar.hidden = false;
+        startScrollSpy(headings, toc);
+    } else {
+        stopScrollSpy();
+    }
+
+    addHeadingAnchors(container);
+}
+
+document.addEventListener('click', handleHeadingAnchorClick);
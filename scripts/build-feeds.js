@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Build the blog feeds
+//
+// Renders the published articles and writes three feeds to the site root:
+//   feed.xml  - RSS 2.0
+//   atom.xml  - Atom 1.0
+//   feed.json - JSON Feed 1.1
+// Article URLs are made absolute with the url from site.json, which the
+// SITE_URL environment variable overrides.
+//
+// Usage: node scripts/build-feeds.js [--dir <articles folder>] [--out <output folder>] [--limit <count>]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT_DIR,
+    ARTICLES_DIR,
+    collectArticles,
+    getPublishedArticles,
+    getArticleTitle,
+    renderArticleHtml,
+    getArticlesDirOption,
+    reportFilenameErrors
+} = require('./lib/articles');
+const { loadSiteConfig, getArticlePath, getAbsoluteUrl } = require('./lib/site');
+const { escapeXml } = require('./lib/xml');
+
+// Number of most recent articles included in each feed
+const DEFAULT_FEED_LIMIT = 20;
+
+const FEED_FILES = {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+// Wrap HTML in a CDATA section, splitting any "]]>" it contains
+function wrapCdata(html) {
+    return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Feed readers show content out of context, so root-relative links need the site URL
+function absolutizeHtmlUrls(html, site) {
+    return html.replace(/(\s(?:href|src)=")\/(?!\/)/g, `$1${site.url}/`);
+}
+
+// Turn an article into the fields every feed format needs
+function toFeedEntry(article, site) {
+    const url = getAbsoluteUrl(site, getArticlePath(article));
+    return {
+        id: url,
+        url: url,
+        title: getArticleTitle(article),
+        summary: article.summary,
+        author: article.author || site.name,
+        tags: article.tags,
+        published: article.isoDateTime,
+        updated: article.updated || article.isoDateTime,
+        contentHtml: absolutizeHtmlUrls(renderArticleHtml(article), site)
+    };
+}
+
+// Most recent change across the entries, so the feed date only moves when content does
+function getLatestUpdate(entries) {
+    if (entries.length === 0) {
+        return new Date().toISOString();
+    }
+    return entries.map(entry => new Date(entry.updated).toISOString()).sort().pop();
+}
+
+// RSS 2.0 with the full post in content:encoded
+function buildRssFeed(site, entries) {
+    const feedUrl = getAbsoluteUrl(site, `/${FEED_FILES.rss}`);
+    const lastBuildDate = new Date(getLatestUpdate(entries)).toUTCString();
+
+    const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>
+      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.author)}</dc:creator>
+${entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}${entry.summary ? `      <description>${escapeXml(entry.summary)}</description>\n` : ''}      <content:encoded>${wrapCdata(entry.contentHtml)}</content:encoded>
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(site.name)}</title>
+    <link>${escapeXml(site.url)}/</link>
+    <description>${escapeXml(site.description || site.name)}</description>
+    <language>${escapeXml(site.language || 'en')}</language>
+    <lastBuildDate>${lastBuildDate}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// Atom 1.0 with the full post as escaped HTML content
+function buildAtomFeed(site, entries) {
+    const feedUrl = getAbsoluteUrl(site, `/${FEED_FILES.atom}`);
+    const updated = getLatestUpdate(entries);
+
+    const items = entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <published>${entry.published}</published>
+    <updated>${entry.updated}</updated>
+    <author><name>${escapeXml(entry.author)}</name></author>
+${entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}${entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>\n` : ''}    <content type="html">${escapeXml(entry.contentHtml)}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language || 'en')}">
+  <id>${escapeXml(site.url)}/</id>
+  <title>${escapeXml(site.name)}</title>
+  <subtitle>${escapeXml(site.description || site.name)}</subtitle>
+  <updated>${updated}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(site.url)}/"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+${items.join('\n')}
+</feed>
+`;
+}
+
+// JSON Feed 1.1
+function buildJsonFeed(site, entries) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: site.name,
+        home_page_url: `${site.url}/`,
+        feed_url: getAbsoluteUrl(site, `/${FEED_FILES.json}`),
+        description: site.description || site.name,
+        language: site.language || 'en',
+        items: entries.map(entry => {
+            const item = {
+                id: entry.id,
+                url: entry.url,
+                title: entry.title,
+                content_html: entry.contentHtml,
+                date_published: entry.published,
+                date_modified: entry.updated,
+                authors: [{ name: entry.author }],
+                tags: entry.tags
+            };
+            if (entry.summary) {
+                item.summary = entry.summary;
+            }
+            return item;
+        })
+    };
+
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// Build every feed for the given articles folder, newest articles first
+function buildFeeds(articlesDir = ARTICLES_DIR, limit = DEFAULT_FEED_LIMIT) {
+    const site = loadSiteConfig();
+    const { articles, errors } = collectArticles(articlesDir);
+    const entries = getPublishedArticles(articles)
+        .slice(0, limit)
+        .map(article => toFeedEntry(article, site));
+
+    return {
+        feeds: {
+            [FEED_FILES.rss]: buildRssFeed(site, entries),
+            [FEED_FILES.atom]: buildAtomFeed(site, entries),
+            [FEED_FILES.json]: buildJsonFeed(site, entries)
+        },
+        count: entries.length,
+        errors: errors
+    };
+}
+
+function main(argv) {
+    const getOption = name => {
+        const index = argv.indexOf(name);
+        return index !== -1 ? argv[index + 1] : null;
+    };
+    const articlesDir = getArticlesDirOption(argv);
+    const outDir = getOption('--out') ? path.resolve(getOption('--out')) : ROOT_DIR;
+    const limit = getOption('--limit') ? parseInt(getOption('--limit'), 10) : DEFAULT_FEED_LIMIT;
+
+    const { feeds, count, errors } = buildFeeds(articlesDir, limit);
+
+    if (reportFilenameErrors(errors)) {
+        process.exit(1);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    Object.keys(feeds).forEach(filename => {
+        fs.writeFileSync(path.join(outDir, filename), feeds[filename]);
+    });
+    console.log(`Wrote ${count} article(s) to ${Object.keys(feeds).join(', ')} in ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildFeeds, FEED_FILES };
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Build the blog article manifest
+//
+// Scans the articles folder, validates every markdown filename and writes
+// manifest.json next to the articles so js/blog.js can load the post list
+// with a single request. Reading times use the wordsPerMinute setting in
+// site.json.
+//
+// Drafts and scheduled posts are listed with their draft flag and date so
+// preview mode can show them; --published-only leaves them out, as deploy.sh
+// does for the live site.
+//
+// Usage: node scripts/build-manifest.js [--dir <articles folder>] [--published-only]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ARTICLES_DIR,
+    MANIFEST_FILENAME,
+    collectArticles,
+    getPublishedArticles,
+    toManifestEntry,
+    getArticlesDirOption,
+    reportFilenameErrors
+} = require('./lib/articles');
+const { loadSiteConfig } = require('./lib/site');
+
+// Build the manifest object for the given articles folder
+function buildManifest(articlesDir = ARTICLES_DIR, publishedOnly = false) {
+    const { articles, errors } = collectArticles(articlesDir);
+    const { wordsPerMinute } = loadSiteConfig();
+    const listed = publishedOnly ? getPublishedArticles(articles) : articles;
+    return {
+        manifest: {
+            articles: listed.map(article => toManifestEntry(article, wordsPerMinute))
+        },
+        errors: errors
+    };
+}
+
+// Write the manifest into the articles folder and return its path
+function writeManifest(articlesDir, manifest) {
+    const manifestPath = path.join(articlesDir, MANIFEST_FILENAME);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return manifestPath;
+}
+
+function main(argv) {
+    const articlesDir = getArticlesDirOption(argv);
+
+    const { manifest, errors } = buildManifest(articlesDir, argv.includes('--published-only'));
+
+    if (reportFilenameErrors(errors)) {
+        process.exit(1);
+    }
+
+    const manifestPath = writeManifest(articlesDir, manifest);
+    console.log(`Wrote ${manifest.articles.length} article(s) to ${path.relative(process.cwd(), manifestPath)}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildManifest, writeManifest };
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Build the blog search index
+//
+// Reads every published article and writes search-index.json next to the
+// articles with the title, tags, summary and plain body text of each post.
+// js/search.js loads this single file and searches it in the browser.
+//
+// Usage: node scripts/build-search-index.js [--dir <articles folder>]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ARTICLES_DIR,
+    collectArticles,
+    getPublishedArticles,
+    getArticleTitle,
+    markdownToPlainText,
+    getArticlesDirOption,
+    reportFilenameErrors
+} = require('./lib/articles');
+
+const SEARCH_INDEX_FILENAME = 'search-index.json';
+
+// Build the search index object for the given articles folder
+function buildSearchIndex(articlesDir = ARTICLES_DIR) {
+    const { articles, errors } = collectArticles(articlesDir);
+
+    const documents = getPublishedArticles(articles).map(article => ({
+        slug: article.slug,
+        title: getArticleTitle(article),
+        summary: article.summary,
+        tags: article.tags,
+        isoDateTime: article.isoDateTime,
+        text: markdownToPlainText(article.body)
+    }));
+
+    return {
+        index: { documents: documents },
+        errors: errors
+    };
+}
+
+// Write the search index into the articles folder and return its path
+function writeSearchIndex(articlesDir, index) {
+    const indexPath = path.join(articlesDir, SEARCH_INDEX_FILENAME);
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+    return indexPath;
+}
+
+function main(argv) {
+    const articlesDir = getArticlesDirOption(argv);
+
+    const { index, errors } = buildSearchIndex(articlesDir);
+
+    if (reportFilenameErrors(errors)) {
+        process.exit(1);
+    }
+
+    const indexPath = writeSearchIndex(articlesDir, index);
+    console.log(`Indexed ${index.documents.length} article(s) in ${path.relative(process.cwd(), indexPath)}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildSearchIndex, writeSearchIndex };
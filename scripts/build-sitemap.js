@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Build sitemap.xml and robots.txt
+//
+// Lists every index.html page and every published article. Pages take their
+// lastmod from the file's modification time and articles from their updated
+// or publication date. Paths that deploy.sh doesn't upload (its
+// EXCLUDE_PATTERNS, such as aws/) are left out of the sitemap and disallowed
+// in robots.txt.
+//
+// Usage: node scripts/build-sitemap.js [--dir <articles folder>] [--out <output folder>]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT_DIR,
+    ARTICLES_DIR,
+    collectArticles,
+    getPublishedArticles,
+    getArticlesDirOption,
+    reportFilenameErrors
+} = require('./lib/articles');
+const {
+    loadSiteConfig,
+    getArticlePath,
+    getAbsoluteUrl,
+    getDeployExcludePatterns,
+    isExcludedFromDeploy
+} = require('./lib/site');
+const { escapeXml } = require('./lib/xml');
+
+const SITEMAP_FILENAME = 'sitemap.xml';
+const ROBOTS_FILENAME = 'robots.txt';
+
+// Find every index.html under the site root that gets deployed, as root-relative paths
+function findPages(dir, excludePatterns, relativeDir = '') {
+    let pages = [];
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const relativePath = relativeDir + entry.name + (entry.isDirectory() ? '/' : '');
+        if (entry.name.startsWith('.') || isExcludedFromDeploy(relativePath, excludePatterns)) {
+            return;
+        }
+
+        if (entry.isDirectory()) {
+            pages = pages.concat(findPages(path.join(dir, entry.name), excludePatterns, relativePath));
+        } else if (entry.name === 'index.html') {
+            pages.push(relativePath);
+        }
+    });
+
+    return pages;
+}
+
+// Sitemap entries for the pages and published articles, pages first
+function collectSitemapEntries(site, articlesDir, excludePatterns) {
+    const pages = findPages(ROOT_DIR, excludePatterns)
+        .sort()
+        .map(page => ({
+            loc: getAbsoluteUrl(site, '/' + page.replace(/index\.html$/, '')),
+            lastmod: fs.statSync(path.join(ROOT_DIR, page)).mtime.toISOString()
+        }));
+
+    const { articles, errors } = collectArticles(articlesDir);
+    const posts = getPublishedArticles(articles).map(article => ({
+        loc: getAbsoluteUrl(site, getArticlePath(article)),
+        lastmod: new Date(article.updated || article.isoDateTime).toISOString()
+    }));
+
+    return { entries: pages.concat(posts), errors: errors };
+}
+
+// Render the sitemap XML
+function renderSitemap(entries) {
+    const urls = entries.map(entry => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>
+    <lastmod>${entry.lastmod}</lastmod>
+  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// Render robots.txt, disallowing the excluded folders and pointing at the sitemap
+function renderRobots(site, excludePatterns) {
+    const disallowed = excludePatterns
+        .filter(pattern => pattern.endsWith('/') && !pattern.startsWith('.'))
+        .map(pattern => `Disallow: /${pattern}`);
+
+    return [
+        'User-agent: *',
+        ...(disallowed.length > 0 ? disallowed : ['Disallow:']),
+        '',
+        `Sitemap: ${getAbsoluteUrl(site, `/${SITEMAP_FILENAME}`)}`,
+        ''
+    ].join('\n');
+}
+
+// Build the sitemap and robots.txt contents
+function buildSitemap(articlesDir = ARTICLES_DIR) {
+    const site = loadSiteConfig();
+    const excludePatterns = getDeployExcludePatterns();
+    const { entries, errors } = collectSitemapEntries(site, articlesDir, excludePatterns);
+
+    return {
+        files: {
+            [SITEMAP_FILENAME]: renderSitemap(entries),
+            [ROBOTS_FILENAME]: renderRobots(site, excludePatterns)
+        },
+        count: entries.length,
+        errors: errors
+    };
+}
+
+function main(argv) {
+    const getOption = name => {
+        const index = argv.indexOf(name);
+        return index !== -1 ? argv[index + 1] : null;
+    };
+    const articlesDir = getArticlesDirOption(argv);
+    const outDir = getOption('--out') ? path.resolve(getOption('--out')) : ROOT_DIR;
+
+    const { files, count, errors } = buildSitemap(articlesDir);
+
+    if (reportFilenameErrors(errors)) {
+        process.exit(1);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    Object.keys(files).forEach(filename => {
+        fs.writeFileSync(path.join(outDir, filename), files[filename]);
+    });
+    console.log(`Wrote ${count} URL(s) to ${SITEMAP_FILENAME} and ${ROBOTS_FILENAME} in ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildSitemap };
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// Build a prerendered copy of the site in dist/
+//
+// Copies every file deploy.sh would upload, with the t_ templates of each page
+// already filled in (see scripts/lib/templates.js), and writes one static
+// page per published article at its clean URL (dist/blog/<slug>/index.html)
+// holding the rendered post and its SEO tags inside the blog page. Readers and
+// crawlers get the finished HTML straight away; the page scripts still run and
+// take over from there, so the blog works as it does in development.
+//
+// Drafts and scheduled posts are left out, as they are on the live site. The
+// template manifest is written for the copied templates, as deploy.sh does.
+//
+// Usage: node scripts/build-static.js [--out <output folder>]
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT_DIR,
+    ARTICLES_DIR,
+    collectArticles,
+    getPublishedArticles,
+    getArticleTitle,
+    markdownToPlainText,
+    renderArticleHtml,
+    toManifestEntry,
+    reportFilenameErrors
+} = require('./lib/articles');
+const {
+    loadSiteConfig,
+    getArticlePath,
+    getDeployExcludePatterns,
+    isExcludedFromDeploy
+} = require('./lib/site');
+const { resolveTemplates } = require('./lib/templates');
+const { buildManifest, writeManifest } = require('./build-manifest');
+const { buildSearchIndex, writeSearchIndex } = require('./build-search-index');
+const { buildTemplateManifest, writeTemplateManifest } = require('./build-template-manifest');
+const { escapeHtml, sanitizeUrl } = require('../js/sanitize');
+const { renderTagChips, renderTimeElement, renderPostNavigation } = require('../js/blog-markup');
+const { getArticleSeo, renderSeoTags } = require('../js/seo');
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Page the prerendered posts are built from
+const BLOG_PAGE = 'blog/index.html';
+
+// Link target for renderPostNavigation, like the manifest entries js/blog.js passes it
+function toPostLink(article) {
+    return article ? { url: getArticlePath(article), displayName: getArticleTitle(article) } : null;
+}
+
+// Post markup matching what loadMarkdownFile in js/blog.js puts in the page
+// (the series box and related posts are added by the blog script once it runs)
+function renderArticleMarkup(article, wordsPerMinute, previous, next) {
+    const { readingTime } = toManifestEntry(article, wordsPerMinute);
+    const cover = sanitizeUrl(article.cover);
+
+    return `
+                <div class="blog-post">
+                    <div class="blog-navigation">
+                        <a href="/blog/" class="back-to-blog">← Back to Blog</a>
+                    </div>
+                    <t_sidebar></t_sidebar>
+                    <article class="markdown-content">
+                        <div class="article-header">
+                            <h1 class="article-datetime">${renderTimeElement(article.isoDateTime)}</h1>
+                            ${article.updated ? `<p class="article-updated">Updated ${renderTimeElement(article.updated)}</p>` : ''}
+                            ${article.author ? `<p class="article-author">By ${escapeHtml(article.author)}</p>` : ''}
+                            <p class="article-reading-time">${readingTime} min read · ${article.wordCount.toLocaleString('en-US')} ${article.wordCount === 1 ? 'word' : 'words'}</p>
+                            ${renderTagChips(article.tags)}
+                        </div>
+                        ${cover ? `<img src="${escapeHtml(cover)}" alt="" class="article-cover">` : ''}
+                        ${renderArticleHtml(article)}
+                    </article>
+                    ${renderPostNavigation({ previous: toPostLink(previous), next: toPostLink(next) })}
+                </div>
+            `;
+}
+
+// Put a post into the blog page, with its title and SEO tags in the head
+function renderArticlePage(blogPage, article, site, previous, next) {
+    const seo = getArticleSeo({
+        title: getArticleTitle(article),
+        summary: article.summary,
+        text: markdownToPlainText(article.body),
+        path: getArticlePath(article),
+        cover: sanitizeUrl(article.cover),
+        isoDateTime: article.isoDateTime,
+        updated: article.updated,
+        author: article.author,
+        tags: article.tags,
+        wordCount: article.wordCount
+    }, site);
+
+    const page = resolveTemplates(blogPage.replace(/<main>[\s\S]*<\/main>/, () => `<main>
+        <div class="container">${renderArticleMarkup(article, site.wordsPerMinute, previous, next)}</div>
+    </main>`));
+
+    // The title comes from the head template, so it is replaced once the templates are in
+    return page
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(seo.fullTitle)}</title>`)
+        .replace('</head>', () => `${renderSeoTags(seo)}\n</head>`);
+}
+
+// Every file deploy.sh would upload, as root-relative paths
+function listSiteFiles(dir, skip, relativeDir = '') {
+    let files = [];
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const relativePath = relativeDir + entry.name + (entry.isDirectory() ? '/' : '');
+        if (entry.name.startsWith('.') || skip(relativePath)) {
+            return;
+        }
+
+        if (entry.isDirectory()) {
+            files = files.concat(listSiteFiles(path.join(dir, entry.name), skip, relativePath));
+        } else {
+            files.push(relativePath);
+        }
+    });
+
+    return files;
+}
+
+// Write a file, creating its folder first
+function writeFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+// Build the prerendered site into outDir
+function buildStaticSite(outDir = DIST_DIR) {
+    const { articles, errors } = collectArticles(ARTICLES_DIR);
+    if (errors.length > 0) {
+        return { pages: 0, articles: 0, errors: errors };
+    }
+
+    const site = loadSiteConfig();
+    const published = getPublishedArticles(articles);
+    const excludePatterns = getDeployExcludePatterns();
+    const outPrefix = path.relative(ROOT_DIR, outDir) + '/';
+    const articlesPrefix = path.relative(ROOT_DIR, ARTICLES_DIR) + '/';
+    const unpublishedFiles = new Set(articles
+        .filter(article => !published.includes(article))
+        .map(article => articlesPrefix + article.file));
+
+    const files = listSiteFiles(ROOT_DIR, relativePath =>
+        isExcludedFromDeploy(relativePath, excludePatterns) ||
+        relativePath === outPrefix ||
+        unpublishedFiles.has(relativePath));
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+
+    // Pages get their templates filled in; everything else is copied as it is
+    // (template fragments included, since the blog still loads the sidebar itself)
+    let pages = 0;
+    files.forEach(file => {
+        const source = path.join(ROOT_DIR, file);
+        const target = path.join(outDir, file);
+        if (file.endsWith('.html') && !file.startsWith('templates/')) {
+            writeFile(target, resolveTemplates(fs.readFileSync(source, 'utf8')));
+            pages++;
+        } else {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(source, target);
+        }
+    });
+
+    // The manifest and search index list only the posts that were copied
+    writeManifest(path.join(outDir, articlesPrefix), buildManifest(ARTICLES_DIR, true).manifest);
+    writeSearchIndex(path.join(outDir, articlesPrefix), buildSearchIndex(ARTICLES_DIR).index);
+
+    // Browsers check their stored templates against this one
+    const outTemplatesDir = path.join(outDir, 'templates');
+    writeTemplateManifest(outTemplatesDir, buildTemplateManifest(outTemplatesDir));
+
+    // One page per post at its clean URL
+    const blogPage = fs.readFileSync(path.join(ROOT_DIR, BLOG_PAGE), 'utf8');
+    published.forEach((article, index) => {
+        const html = renderArticlePage(blogPage, article, site, published[index + 1], published[index - 1]);
+        writeFile(path.join(outDir, getArticlePath(article), 'index.html'), html);
+    });
+
+    return { pages: pages, articles: published.length, errors: [] };
+}
+
+function main(argv) {
+    const outIndex = argv.indexOf('--out');
+    const outDir = outIndex !== -1 ? path.resolve(argv[outIndex + 1]) : DIST_DIR;
+
+    // The output folder is emptied first, so it must not hold the site itself
+    if (ROOT_DIR === outDir || ROOT_DIR.startsWith(outDir + path.sep)) {
+        console.error(`Refusing to build into ${outDir}: it contains the site sources`);
+        process.exit(1);
+    }
+
+    let result;
+    try {
+        result = buildStaticSite(outDir);
+    } catch (error) {
+        console.error(`Build failed: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (reportFilenameErrors(result.errors)) {
+        process.exit(1);
+    }
+
+    console.log(`Prerendered ${result.pages} page(s) and ${result.articles} article(s) into ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildStaticSite };
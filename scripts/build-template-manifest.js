@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Build the template manifest
+//
+// Writes templates/manifest.json with a content hash for every template file,
+// plus a version that changes whenever any of them does. js/templates.js keeps
+// copies of the templates in the browser and checks them against this file,
+// so a deploy that changes a template replaces the stored copies.
+//
+// Usage: node scripts/build-template-manifest.js [--dir <templates folder>]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/articles');
+
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'templates');
+const TEMPLATE_MANIFEST_FILENAME = 'manifest.json';
+
+// Length of the hashes written to the manifest
+const HASH_LENGTH = 16;
+
+// Short SHA-256 hash of some text
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+// Template names in a folder, e.g. "header" or "blog/card" for blog/card.html
+function listTemplateNames(dir, relativeDir = '') {
+    let names = [];
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) {
+            return;
+        }
+        if (entry.isDirectory()) {
+            names = names.concat(listTemplateNames(path.join(dir, entry.name), `${relativeDir}${entry.name}/`));
+        } else if (entry.name.endsWith('.html')) {
+            names.push(relativeDir + entry.name.slice(0, -'.html'.length));
+        }
+    });
+
+    return names.sort();
+}
+
+// Build the manifest object for the given templates folder
+function buildTemplateManifest(templatesDir = TEMPLATES_DIR) {
+    const templates = {};
+    listTemplateNames(templatesDir).forEach(name => {
+        templates[name] = hashContent(fs.readFileSync(path.join(templatesDir, `${name}.html`)));
+    });
+
+    return {
+        version: hashContent(JSON.stringify(templates)),
+        templates: templates
+    };
+}
+
+// Write the manifest into the templates folder and return its path
+function writeTemplateManifest(templatesDir, manifest) {
+    const manifestPath = path.join(templatesDir, TEMPLATE_MANIFEST_FILENAME);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return manifestPath;
+}
+
+function main(argv) {
+    const dirIndex = argv.indexOf('--dir');
+    const templatesDir = dirIndex !== -1 ? path.resolve(argv[dirIndex + 1]) : TEMPLATES_DIR;
+
+    if (!fs.existsSync(templatesDir) || !fs.statSync(templatesDir).isDirectory()) {
+        console.error(`Templates folder not found: ${templatesDir}`);
+        process.exit(1);
+    }
+
+    const manifest = buildTemplateManifest(templatesDir);
+    const manifestPath = writeTemplateManifest(templatesDir, manifest);
+    console.log(`Hashed ${Object.keys(manifest.templates).length} template(s) into ${path.relative(process.cwd(), manifestPath)} (version ${manifest.version})`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { buildTemplateManifest, writeTemplateManifest };
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Local development server with live reload
+//
+// Serves the site from the repository root the way the live site answers
+// requests: folders serve their index.html and every /blog/* path that isn't a
+// file gets blog/index.html, so clean article URLs work. Pages are sent with
+// window.BLOG_PREVIEW = true, so drafts and scheduled posts are shown, and
+// window.TEMPLATE_CACHE = false, so template edits show up on the next reload.
+//
+// templates/, css/, js/ and the articles folder are watched. A stylesheet
+// change is swapped into open pages without a reload; any other change
+// reloads them. Editing an article rebuilds the manifest and search index first.
+//
+// Usage: node scripts/dev-server.js [--port <port>]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT_DIR, ARTICLES_DIR, reportFilenameErrors } = require('./lib/articles');
+const { buildManifest, writeManifest } = require('./build-manifest');
+const { buildSearchIndex, writeSearchIndex } = require('./build-search-index');
+
+const DEFAULT_PORT = 8001;
+
+// Folders whose changes are pushed to open pages
+const WATCHED_DIRS = ['templates', 'css', 'js', path.relative(ROOT_DIR, ARTICLES_DIR)];
+
+// Changes arriving within this many milliseconds are handled together
+const WATCH_DELAY = 100;
+
+// URL paths served by the dev server itself
+const DEV_EVENTS_PATH = '/__dev/events';
+const DEV_CLIENT_PATH = '/__dev/client.js';
+const DEV_CLIENT_FILE = path.join(__dirname, 'lib', 'dev-client.js');
+
+// Markup added to every page, before its own scripts run
+const DEV_PAGE_SNIPPET = `<script>window.BLOG_PREVIEW = true; window.TEMPLATE_CACHE = false;</script>
+    <script src="${DEV_CLIENT_PATH}"></script>
+`;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp'
+};
+
+// Open live reload connections
+const clients = new Set();
+
+// Send an event to every open page
+function broadcast(event, data) {
+    clients.forEach(response => response.write(`event: ${event}\ndata: ${data}\n\n`));
+}
+
+// Map a URL path to the file that answers it, or null when there is none
+function resolveRequestFile(urlPath) {
+    let filePath = path.join(ROOT_DIR, urlPath);
+
+    // Stay inside the site and away from dotfiles such as .git
+    if (path.relative(ROOT_DIR, filePath).startsWith('..') || urlPath.split('/').some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        return filePath;
+    }
+
+    // Blog routes are handled by js/blog.js on the blog page
+    if (urlPath.startsWith('/blog/')) {
+        return path.join(ROOT_DIR, 'blog', 'index.html');
+    }
+
+    return null;
+}
+
+// Add the preview flag and live reload script to a page
+function injectDevSnippet(html) {
+    return html.includes('</head>')
+        ? html.replace('</head>', () => `    ${DEV_PAGE_SNIPPET}</head>`)
+        : DEV_PAGE_SNIPPET + html;
+}
+
+// Keep a live reload connection open
+function handleEvents(request, response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    response.write(': connected\n\n');
+
+    clients.add(response);
+    request.on('close', () => clients.delete(response));
+}
+
+// Answer a request
+function handleRequest(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Bad request');
+        return;
+    }
+
+    if (urlPath === DEV_EVENTS_PATH) {
+        handleEvents(request, response);
+        return;
+    }
+
+    const filePath = urlPath === DEV_CLIENT_PATH ? DEV_CLIENT_FILE : resolveRequestFile(urlPath);
+    if (!filePath) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(`Not found: ${urlPath}`);
+        console.log(`404 ${urlPath}`);
+        return;
+    }
+
+    // Folders are linked with a trailing slash so relative URLs resolve inside them
+    if (path.basename(filePath) === 'index.html' && !urlPath.endsWith('/') &&
+        fs.existsSync(path.join(ROOT_DIR, urlPath)) && fs.statSync(path.join(ROOT_DIR, urlPath)).isDirectory()) {
+        response.writeHead(301, { 'Location': `${urlPath}/` });
+        response.end();
+        return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let body = fs.readFileSync(filePath);
+    if (extension === '.html') {
+        body = injectDevSnippet(body.toString('utf8'));
+    }
+
+    response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+// Rebuild the files generated from the articles. Errors are logged rather than
+// thrown, so a half-saved post doesn't stop the server.
+function rebuildArticleFiles() {
+    try {
+        const { manifest, errors } = buildManifest(ARTICLES_DIR);
+        if (reportFilenameErrors(errors)) {
+            return false;
+        }
+
+        writeManifest(ARTICLES_DIR, manifest);
+        writeSearchIndex(ARTICLES_DIR, buildSearchIndex(ARTICLES_DIR).index);
+        console.log(`Rebuilt the manifest and search index (${manifest.articles.length} article(s))`);
+        return true;
+    } catch (error) {
+        console.error(`Could not rebuild the manifest and search index: ${error.message}`);
+        return false;
+    }
+}
+
+// Tell open pages about the changed files
+function handleChanges(changedFiles) {
+    const files = Array.from(changedFiles);
+    const articlesPrefix = path.relative(ROOT_DIR, ARTICLES_DIR) + '/';
+
+    if (files.some(file => file.startsWith(articlesPrefix) && file.endsWith('.md'))) {
+        rebuildArticleFiles();
+    }
+
+    if (files.every(file => file.endsWith('.css'))) {
+        files.forEach(file => broadcast('css', `/${file}`));
+    } else {
+        broadcast('reload', files.map(file => `/${file}`).join(', '));
+    }
+    console.log(`Changed: ${files.join(', ')}`);
+}
+
+// Watch the source folders, batching changes that arrive together.
+// Each folder gets its own watcher, as recursive fs.watch isn't available on
+// every platform and Node version; folders created later are picked up too.
+function watchSourceFolders() {
+    const changedFiles = new Set();
+    const watchers = new Map();
+    let timer = null;
+    const articlesPrefix = path.relative(ROOT_DIR, ARTICLES_DIR) + '/';
+
+    // Record a changed file and handle the batch once changes stop arriving
+    const queueChange = file => {
+        // The manifest and search index are rebuilt here, so only the posts count
+        if (file.startsWith(articlesPrefix) && !file.endsWith('.md')) {
+            return;
+        }
+
+        changedFiles.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            handleChanges(changedFiles);
+            changedFiles.clear();
+        }, WATCH_DELAY);
+    };
+
+    // Watch a folder (relative to the root) and the folders inside it
+    const watchFolder = dir => {
+        if (watchers.has(dir)) {
+            return;
+        }
+
+        const watcher = fs.watch(path.join(ROOT_DIR, dir), (eventType, filename) => {
+            if (!filename) {
+                return;
+            }
+
+            // The folder itself was removed; its parent reports that
+            if (!fs.existsSync(path.join(ROOT_DIR, dir))) {
+                watcher.close();
+                watchers.delete(dir);
+                return;
+            }
+
+            const file = `${dir}/${filename}`;
+            const filePath = path.join(ROOT_DIR, file);
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+                try {
+                    watchFolder(file);
+                } catch (error) {
+                    // Removed again before it could be watched
+                }
+                return;
+            }
+            queueChange(file);
+        });
+
+        // The folder was removed or can no longer be read
+        watcher.on('error', () => {
+            watcher.close();
+            watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+
+        fs.readdirSync(path.join(ROOT_DIR, dir), { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .forEach(entry => watchFolder(`${dir}/${entry.name}`));
+    };
+
+    WATCHED_DIRS.forEach(watchFolder);
+}
+
+// Start the server and the file watchers
+function startDevServer(port = DEFAULT_PORT) {
+    rebuildArticleFiles();
+
+    const server = http.createServer(handleRequest);
+    server.listen(port, () => {
+        console.log(`Serving ${ROOT_DIR} at http://localhost:${port}/ (drafts shown, live reload on)`);
+    });
+
+    watchSourceFolders();
+    return server;
+}
+
+function main(argv) {
+    const portIndex = argv.indexOf('--port');
+    const port = portIndex !== -1 ? Number(argv[portIndex + 1]) : DEFAULT_PORT;
+
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        console.error(`Invalid port: ${argv[portIndex + 1]}`);
+        process.exit(1);
+    }
+
+    startDevServer(port);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { startDevServer };
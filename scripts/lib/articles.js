@@ -0,0 +1,189 @@
+// Shared helpers for the Node build scripts that read the blog articles folder
+
+const fs = require('fs');
+const path = require('path');
+// First, so escapeHtml is global for the shared scripts below, as on the pages
+const { sanitizeHtml } = require('../../js/sanitize');
+const { parseFrontMatter, getArticleMetadata } = require('../../js/front-matter');
+const { renderMarkdown, countMarkdownWords, estimateReadingTime } = require('../../js/markdown');
+const { highlightCode } = require('../../js/highlight');
+
+// Repository root and the folder the blog articles live in
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const ARTICLES_DIR = path.join(ROOT_DIR, 'test');
+const MANIFEST_FILENAME = 'manifest.json';
+
+// Expected format: YYYY-MM-DDTHH:mm:ss.sssZ-article-slug.md
+// (the same convention parsed by parseIsoDateTimeFromFilename in js/blog.js)
+const ARTICLE_FILENAME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)-([a-z0-9]+(?:-[a-z0-9]+)*)\.md$/;
+
+// Slugs that would clash with the blog's own routes (see parseBlogRoute in js/blog.js)
+const RESERVED_SLUGS = ['archive', 'page', 'tag'];
+
+// Parse an article filename into its date-time and slug, or return an error message
+function parseArticleFilename(filename) {
+    const match = filename.match(ARTICLE_FILENAME_PATTERN);
+    if (!match) {
+        return { error: 'does not match YYYY-MM-DDTHH:mm:ss.sssZ-article-slug.md' };
+    }
+
+    const isoDateTime = match[1];
+    const date = new Date(isoDateTime);
+    if (isNaN(date.getTime()) || date.toISOString() !== isoDateTime) {
+        return { error: `"${isoDateTime}" is not a valid date-time` };
+    }
+
+    if (RESERVED_SLUGS.includes(match[2])) {
+        return { error: `"${match[2]}" is reserved for a blog route and can't be used as a slug` };
+    }
+
+    return {
+        name: filename.replace(/\.md$/, ''),
+        slug: match[2],
+        isoDateTime: isoDateTime
+    };
+}
+
+// Scan the articles folder and return every valid article plus any filename errors
+function collectArticles(articlesDir = ARTICLES_DIR) {
+    const articles = [];
+    const errors = [];
+
+    const filenames = fs.readdirSync(articlesDir)
+        .filter(filename => filename.endsWith('.md'))
+        .sort();
+
+    filenames.forEach(filename => {
+        const parsed = parseArticleFilename(filename);
+        if (parsed.error) {
+            errors.push(`${filename}: ${parsed.error}`);
+            return;
+        }
+
+        const markdown = fs.readFileSync(path.join(articlesDir, filename), 'utf8');
+        const { data, body } = parseFrontMatter(markdown);
+        const metadata = getArticleMetadata(data);
+
+        // A front matter date overrides the timestamp in the filename
+        articles.push({
+            name: parsed.name,
+            slug: parsed.slug,
+            isoDateTime: metadata.date || parsed.isoDateTime,
+            updated: metadata.updated,
+            file: filename,
+            title: metadata.title,
+            summary: metadata.summary,
+            author: metadata.author,
+            tags: metadata.tags,
+            cover: metadata.cover,
+            series: metadata.series,
+            draft: metadata.draft,
+            trusted: metadata.trusted,
+            lineNumbers: metadata.lineNumbers,
+            wordCount: countMarkdownWords(body),
+            body: body
+        });
+    });
+
+    // Newest first, matching the order the blog listing shows
+    articles.sort((a, b) => new Date(b.isoDateTime) - new Date(a.isoDateTime));
+
+    // Two articles with the same slug would be ambiguous once linked by name
+    const seenSlugs = new Map();
+    articles.forEach(article => {
+        if (seenSlugs.has(article.slug)) {
+            errors.push(`${article.file}: slug "${article.slug}" is already used by ${seenSlugs.get(article.slug)}`);
+        } else {
+            seenSlugs.set(article.slug, article.file);
+        }
+    });
+
+    return { articles, errors };
+}
+
+// Whether an article is live: not a draft and not scheduled for a later date
+// (the same check as isArticlePublished in js/blog.js)
+function isArticlePublished(article, now = new Date()) {
+    return !article.draft && new Date(article.isoDateTime) <= now;
+}
+
+// Articles that are visible on the live site
+function getPublishedArticles(articles, now = new Date()) {
+    return articles.filter(article => isArticlePublished(article, now));
+}
+
+// Display title for an article, matching the fallback used by js/blog.js
+function getArticleTitle(article) {
+    return article.title || article.slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// Reduce markdown to the plain words a reader sees, for indexing and summaries
+function markdownToPlainText(markdown) {
+    return markdown
+        .replace(/^(```|~~~).*$/gm, ' ')                // Code fence markers (the code itself is kept)
+        .replace(/<[^>]+>/g, ' ')                        // Raw HTML tags
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')         // Images -> alt text
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')          // Links -> link text
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // Headings, quotes and list markers
+        .replace(/^\s*\[[ xX]\]\s+/gm, '')                 // Task list boxes
+        .replace(/^\s*([-*_]\s*){3,}$/gm, ' ')              // Horizontal rules
+        .replace(/^\s*\|?[-:| ]+\|[-:| ]*$/gm, ' ')         // Table separator rows
+        .replace(/[*~`]+/g, '')                          // Emphasis and inline code markers
+        .replace(/[_|]+/g, ' ')                          // Underscore emphasis and table pipes
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Render an article's body to HTML the same way the blog page does (markdownToHtml in js/blog.js)
+function renderArticleHtml(article) {
+    const html = renderMarkdown(article.body, {
+        breaks: true,
+        highlight: highlightCode,
+        lineNumbers: Boolean(article.lineNumbers)
+    });
+    return article.trusted ? html : sanitizeHtml(html);
+}
+
+// Drop fields that only the build scripts need (the markdown body, and the
+// rendering flags, which the blog reads from the post itself) and add the
+// reading time so the listing doesn't need to fetch every post
+function toManifestEntry(article, wordsPerMinute) {
+    const { body, trusted, lineNumbers, ...entry } = article;
+    entry.readingTime = estimateReadingTime(article.wordCount, wordsPerMinute);
+    return entry;
+}
+
+// Articles folder given with --dir on the command line, or the default one
+function getArticlesDirOption(argv) {
+    const dirIndex = argv.indexOf('--dir');
+    return dirIndex !== -1 ? path.resolve(argv[dirIndex + 1]) : ARTICLES_DIR;
+}
+
+// Print the filename errors from collectArticles; returns true when there were any
+function reportFilenameErrors(errors) {
+    if (errors.length === 0) {
+        return false;
+    }
+
+    console.error('Invalid article filenames:');
+    errors.forEach(error => console.error(`  ${error}`));
+    return true;
+}
+
+module.exports = {
+    ROOT_DIR,
+    ARTICLES_DIR,
+    MANIFEST_FILENAME,
+    ARTICLE_FILENAME_PATTERN,
+    RESERVED_SLUGS,
+    parseArticleFilename,
+    collectArticles,
+    isArticlePublished,
+    getPublishedArticles,
+    getArticleTitle,
+    markdownToPlainText,
+    renderArticleHtml,
+    toManifestEntry,
+    getArticlesDirOption,
+    reportFilenameErrors
+};
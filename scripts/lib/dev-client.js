@@ -0,0 +1,45 @@
+// Live reload for pages served by scripts/dev-server.js
+//
+// Listens to the server's change events: stylesheet edits are swapped in
+// place, anything else reloads the page. Only the dev server adds this
+// script to a page; it is never deployed.
+
+(function() {
+    if (typeof EventSource === 'undefined') {
+        return;
+    }
+
+    const events = new EventSource('/__dev/events');
+
+    // Point the stylesheet at a fresh URL so the browser fetches the new version
+    function refreshStylesheet(link) {
+        const url = new URL(link.href, window.location.href);
+        url.searchParams.set('v', Date.now());
+        link.href = url.pathname + url.search;
+    }
+
+    events.addEventListener('css', function(event) {
+        const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
+        const changed = links.filter(link => new URL(link.href, window.location.href).pathname === event.data);
+
+        // A stylesheet pulled in with @import isn't linked directly, so refresh them all
+        (changed.length > 0 ? changed : links).forEach(refreshStylesheet);
+        console.log(`Live reload: updated ${event.data}`);
+    });
+
+    events.addEventListener('reload', function(event) {
+        console.log(`Live reload: ${event.data} changed, reloading`);
+        window.location.reload();
+    });
+
+    // The browser reconnects by itself; reload once the server is back so the page is current
+    let disconnected = false;
+    events.addEventListener('error', function() {
+        disconnected = true;
+    });
+    events.addEventListener('open', function() {
+        if (disconnected) {
+            window.location.reload();
+        }
+    });
+})();
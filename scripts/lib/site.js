@@ -0,0 +1,54 @@
+// Site-wide settings for the Node build scripts, read from site.json
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./articles');
+const { getArticleUrl } = require('../../js/blog-markup');
+
+const SITE_CONFIG_PATH = path.join(ROOT_DIR, 'site.json');
+const DEPLOY_SCRIPT_PATH = path.join(ROOT_DIR, 'deploy.sh');
+
+// Load site.json; the SITE_URL environment variable overrides its url
+function loadSiteConfig() {
+    const site = JSON.parse(fs.readFileSync(SITE_CONFIG_PATH, 'utf8'));
+
+    if (process.env.SITE_URL) {
+        site.url = process.env.SITE_URL;
+    }
+    site.url = String(site.url || '').replace(/\/+$/, '');
+
+    return site;
+}
+
+// Site-relative path of an article (getArticleUrl in js/blog-markup.js)
+function getArticlePath(article) {
+    return getArticleUrl(article);
+}
+
+// Absolute URL of a site-relative path
+function getAbsoluteUrl(site, sitePath) {
+    return `${site.url}${sitePath}`;
+}
+
+// Paths deploy.sh leaves out of the upload, read from its EXCLUDE_PATTERNS setting
+function getDeployExcludePatterns() {
+    const script = fs.readFileSync(DEPLOY_SCRIPT_PATH, 'utf8');
+    const match = script.match(/^EXCLUDE_PATTERNS="([^"]*)"/m);
+    return match ? match[1].split(/\s+/).filter(pattern => pattern !== '') : [];
+}
+
+// Whether a root-relative path such as "aws/dist/x.html" is left out of the deploy
+// (patterns match as prefixes, like the "pattern*" excludes deploy.sh passes to aws s3 sync)
+function isExcludedFromDeploy(relativePath, patterns) {
+    return patterns.some(pattern => relativePath.startsWith(pattern));
+}
+
+module.exports = {
+    SITE_CONFIG_PATH,
+    DEPLOY_SCRIPT_PATH,
+    loadSiteConfig,
+    getArticlePath,
+    getAbsoluteUrl,
+    getDeployExcludePatterns,
+    isExcludedFromDeploy
+};
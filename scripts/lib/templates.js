@@ -0,0 +1,107 @@
+// Build-time version of the template loading in js/templates.js
+//
+// Fills the <t_name> elements of a page from the templates folder the way the
+// browser does: a t_layout wraps the page in templates/layout.html (and the
+// templates it uses are then filled in), t_head is replaced by the head
+// template's tags, and every other element gets the template as its content
+// plus the data-prerendered attribute so js/templates.js leaves it alone.
+// Templates are rendered with the element's data- props, the site settings
+// from site.json and the element's children in their slots, as in the browser
+// (see renderSlottedTemplate in js/templates.js). The t_ elements a template
+// brings with it are filled in too, with the same nesting limits as the
+// browser (checkTemplateNesting); a missing template fails the build.
+// Class and id based templates (class="t_name") are left for the browser.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./articles');
+const { loadSiteConfig } = require('./site');
+const {
+    TEMPLATE_PRERENDERED_ATTRIBUTE,
+    TEMPLATE_DEFAULT_SLOT,
+    getTemplatePath,
+    checkTemplateNesting,
+    findTemplatePartialNames,
+    collectTemplateSlots,
+    renderSlottedTemplate,
+    getTemplateProps,
+    createTemplateGlobals
+} = require('../../js/templates');
+const { decodeHtmlEntities } = require('../../js/sanitize');
+
+// One attribute of a tag, with or without a value
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// A custom template element and its content, e.g. <t_nav>...</t_nav>
+const TEMPLATE_ELEMENT_PATTERN = /<t_([\w-]+)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*>([\s\S]*?)<\/t_\1\s*>/g;
+
+// Read a template file, caching it for the rest of the build
+function readTemplate(templateName, cache) {
+    if (!cache.has(templateName)) {
+        const templatePath = path.join(ROOT_DIR, getTemplatePath(templateName));
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`Template "${templateName}" not found at ${path.relative(ROOT_DIR, templatePath)}`);
+        }
+        cache.set(templateName, fs.readFileSync(templatePath, 'utf8'));
+    }
+    return cache.get(templateName);
+}
+
+// Read every partial a template includes, and the partials those include
+function readTemplatePartials(templateContent, cache, partials = {}) {
+    findTemplatePartialNames(templateContent)
+        .filter(name => !(name in partials))
+        .forEach(name => {
+            partials[name] = readTemplate(name, cache);
+            readTemplatePartials(partials[name], cache, partials);
+        });
+    return partials;
+}
+
+// Read a template and render it for an element's props and slot content
+function renderTemplateFile(templateName, context, slots, cache) {
+    const templateContent = readTemplate(templateName, cache);
+    return renderSlottedTemplate(templateContent, context, readTemplatePartials(templateContent, cache), slots);
+}
+
+// Parse a tag's attribute text into { name, value } pairs, like element.attributes
+function parseAttributes(attributeText) {
+    return Array.from(attributeText.matchAll(ATTRIBUTE_PATTERN)).map(match => {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        return { name: match[1].toLowerCase(), value: value !== undefined ? decodeHtmlEntities(value) : '' };
+    });
+}
+
+// Fill in every template element of an HTML page
+// (chain holds the templates the html came from, outermost first)
+function resolveTemplates(html, cache = new Map(), globals = createTemplateGlobals(loadSiteConfig()), chain = []) {
+    TEMPLATE_ELEMENT_PATTERN.lastIndex = 0;
+    const layout = Array.from(html.matchAll(TEMPLATE_ELEMENT_PATTERN)).find(match => match[1] === 'layout');
+
+    // The layout replaces the whole page, like renderLayoutTemplate in js/templates.js
+    if (layout) {
+        checkTemplateNesting('layout', chain);
+        const slots = collectTemplateSlots(layout[3]);
+        const context = Object.assign({}, globals, getTemplateProps(parseAttributes(layout[2])), {
+            content: slots[TEMPLATE_DEFAULT_SLOT]
+        });
+        return resolveTemplates(renderTemplateFile('layout', context, slots, cache), cache, globals, chain.concat('layout'));
+    }
+
+    return html.replace(TEMPLATE_ELEMENT_PATTERN, (match, templateName, attributes, content) => {
+        checkTemplateNesting(templateName, chain);
+        const context = Object.assign({}, globals, getTemplateProps(parseAttributes(attributes)));
+        const templateContent = resolveTemplates(
+            renderTemplateFile(templateName, context, collectTemplateSlots(content), cache),
+            cache,
+            globals,
+            chain.concat(templateName)
+        );
+        if (templateName === 'head') {
+            return templateContent.trim();
+        }
+        return `<t_${templateName}${attributes} ${TEMPLATE_PRERENDERED_ATTRIBUTE}>${templateContent}</t_${templateName}>`;
+    });
+}
+
+module.exports = { resolveTemplates };
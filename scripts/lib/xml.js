@@ -0,0 +1,13 @@
+// XML helpers shared by the feed and sitemap build scripts
+
+// Escape text for XML element content and attributes
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = { escapeXml };
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// List the articles that must not be published yet
+//
+// Prints the path (relative to the site root) of every draft and every post
+// dated in the future, one per line. deploy.sh excludes these files from the
+// upload so they never reach the live site.
+//
+// Usage: node scripts/list-unpublished.js [--dir <articles folder>]
+
+const path = require('path');
+const {
+    ROOT_DIR,
+    ARTICLES_DIR,
+    collectArticles,
+    isArticlePublished,
+    getArticlesDirOption,
+    reportFilenameErrors
+} = require('./lib/articles');
+
+// Site-relative paths of the unpublished articles in a folder
+function listUnpublishedArticles(articlesDir = ARTICLES_DIR) {
+    const { articles, errors } = collectArticles(articlesDir);
+    const files = articles
+        .filter(article => !isArticlePublished(article))
+        .map(article => path.relative(ROOT_DIR, path.join(articlesDir, article.file)).split(path.sep).join('/'));
+
+    return { files, errors };
+}
+
+function main(argv) {
+    const articlesDir = getArticlesDirOption(argv);
+
+    const { files, errors } = listUnpublishedArticles(articlesDir);
+
+    if (reportFilenameErrors(errors)) {
+        process.exit(1);
+    }
+
+    files.forEach(file => console.log(file));
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { listUnpublishedArticles };